@@ -1,37 +1,513 @@
-// Hardcoded excluded URLs that should always be excluded
-const HARDCODED_EXCLUDED_URLS = ["kinesis.money", "mene.com"];
+// Shared URL rules (UrlRules, HARDCODED_EXCLUDED_URLS)
+importScripts("url-rules.js");
+
+// Metal price providers used until the user edits the list in settings.
+// {symbol} in the URL is replaced with the metal's ticker (XAU, XAG, XPT, XPD),
+// pricePath picks the price out of the JSON response and quoteUnit says what
+// weight it is quoted per. Lower priority numbers win when quotes disagree
+const DEFAULT_PRICE_PROVIDERS = [
+  {
+    id: "gold-api.com",
+    name: "gold-api.com",
+    url: "https://api.gold-api.com/price/{symbol}",
+    headers: {},
+    pricePath: "$.price",
+    quoteUnit: "oz",
+    priority: 1,
+    enabled: true,
+  },
+  {
+    id: "goldapi.io",
+    name: "goldapi.io",
+    url: "https://api.goldapi.io/api/{symbol}/USD",
+    headers: { "x-access-token": "" },
+    pricePath: "$.price",
+    quoteUnit: "oz",
+    priority: 2,
+    enabled: false, // Needs an API key before it can be used
+  },
+];
 
 // Background service worker for fetching gold prices per gram
 class GoldPriceFetcher {
   constructor() {
-    // Gold price APIs that provide price per troy ounce (we'll convert to per gram)
-    this.goldApis = [
-      {
-        name: "gold-api.com",
-        url: "https://api.gold-api.com/price/XAU",
-        parser: (data) => data.price,
-      },
+    // Grams in each unit a provider may quote its price per
+    this.quoteUnits = {
+      oz: 31.1034768, // troy ounce
+      gram: 1,
+      kg: 1000,
+    };
+
+    // All providers are queried together; quotes further than this from the
+    // median are treated as outliers and left out of the consensus price
+    this.maxProviderDeviation = 0.02; // 2%
+
+    // Metals that prices can be converted to, with the default sanity range
+    // (USD per troy ounce) a quote must fall in to be believed. Users can
+    // override the ranges in settings
+    this.metals = {
+      XAU: { name: "gold", minPerOunce: 500, maxPerOunce: 20000 },
+      XAG: { name: "silver", minPerOunce: 5, maxPerOunce: 500 },
+      XPT: { name: "platinum", minPerOunce: 200, maxPerOunce: 10000 },
+      XPD: { name: "palladium", minPerOunce: 200, maxPerOunce: 10000 },
+    };
+
+    // Quotes that moved more than this since the last accepted quote are
+    // rejected, as long as that quote is recent enough to compare against.
+    // The allowed move grows by the same amount for each day since then, and
+    // providers that agree with each other can override it
+    this.maxPriceMove = 0.1; // 10%
+    this.priceMoveWindow = 7 * 24 * 60 * 60 * 1000; // 7 days
+    this.diagnosticsLimit = 50; // Rejected quotes kept for the popup
+
+    // Exchange rate APIs quoting every currency per 1 USD, used to convert
+    // non-USD prices through the USD gold price
+    this.fxApis = [
       {
-        name: "goldapi.io",
-        url: "https://api.goldapi.io/api/XAU/USD",
-        parser: (data) => data.price,
+        name: "open.er-api.com",
+        url: "https://open.er-api.com/v6/latest/USD",
+        parser: (data) => (data.result === "success" ? data.rates : null),
       },
       {
-        name: "api.goldapi.io",
-        url: "https://api.goldapi.io/api/XAU/USD",
-        parser: (data) => data.price,
+        name: "frankfurter.app",
+        url: "https://api.frankfurter.app/latest?from=USD",
+        parser: (data) => data.rates,
       },
     ];
     this.refreshInterval = 30 * 60 * 1000; // 30 minutes
-    this.retryDelay = 5 * 60 * 1000; // 5 minutes
+    this.retryDelay = 5 * 60 * 1000; // 5 minutes, doubled after each failure
+    this.retryJitter = 0.2; // Spread retries by up to ±20%
+    this.refreshAlarm = "refreshPrices";
     this.gramsPerOunce = 31.1034768; // Standard troy ounce to gram conversion
     this.fallbackGoldPricePerGram = 130; // Fallback price per gram if APIs fail
+
+    // Local price history: keep a little over 30 days, thinning older points
+    // to one per bucket so storage stays small
+    this.historyRetention = 31 * 24 * 60 * 60 * 1000; // 31 days
+    this.historyResolution = [
+      { olderThan: 7 * 24 * 60 * 60 * 1000, bucket: 6 * 60 * 60 * 1000 }, // 6h after a week
+      { olderThan: 24 * 60 * 60 * 1000, bucket: 60 * 60 * 1000 }, // 1h after a day
+    ];
+  }
+
+  async getPriceProviders() {
+    // User-edited provider list from settings, or the defaults
+    const { priceProviders } = await chrome.storage.local.get([
+      "priceProviders",
+    ]);
+    return priceProviders || DEFAULT_PRICE_PROVIDERS;
+  }
+
+  async getEnabledProviders() {
+    const providers = await this.getPriceProviders();
+    return providers
+      .filter((provider) => provider.enabled)
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  selectJsonPath(data, path) {
+    // Minimal JSONPath: "$.data.price", "rates[0].value", "$['XAU']"
+    const keys = [];
+    const tokenPattern = /\.?([^.[\]]+)|\[(\d+)\]|\[['"]([^'"]+)['"]\]/g;
+    let match;
+    while ((match = tokenPattern.exec(path.replace(/^\$/, ""))) !== null) {
+      keys.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return keys.reduce(
+      (value, key) => (value == null ? undefined : value[key]),
+      data
+    );
+  }
+
+  async fetchProviderQuote(provider, symbol) {
+    const metal = this.metals[symbol];
+    console.log(`Fetching ${metal.name} price from ${provider.name}...`);
+    const response = await fetch(provider.url.replace("{symbol}", symbol), {
+      method: "GET",
+      headers: {
+        Accept: "application/json",
+        ...provider.headers,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(
+        `${provider.name} API responded with status: ${response.status}`
+      );
+    }
+
+    const data = await response.json();
+    console.log(`Raw data from ${provider.name}:`, data);
+    const quote = parseFloat(this.selectJsonPath(data, provider.pricePath));
+    const unitGrams = this.quoteUnits[provider.quoteUnit] || this.gramsPerOunce;
+    const pricePerOunce = (quote / unitGrams) * this.gramsPerOunce;
+
+    if (isNaN(pricePerOunce) || pricePerOunce <= 0) {
+      throw new Error(
+        `No valid price at ${provider.pricePath} from ${provider.name}`
+      );
+    }
+
+    return { provider: provider.name, pricePerOunce };
+  }
+
+  async getPriceValidation() {
+    // Sanity ranges and maximum move, with the user's overrides from settings
+    const { priceValidation = {} } = await chrome.storage.local.get([
+      "priceValidation",
+    ]);
+    const ranges = {};
+    for (const [symbol, metal] of Object.entries(this.metals)) {
+      ranges[symbol] = {
+        minPerOunce: metal.minPerOunce,
+        maxPerOunce: metal.maxPerOunce,
+        ...priceValidation.ranges?.[symbol],
+      };
+    }
+    return { maxMove: priceValidation.maxMove ?? this.maxPriceMove, ranges };
+  }
+
+  async getLastAcceptedQuote(symbol) {
+    const { priceHistory = {} } = await chrome.storage.local.get([
+      "priceHistory",
+    ]);
+    const points = priceHistory[symbol] || [];
+    return points[points.length - 1] || null;
+  }
+
+  checkPlausibility(pricePerOunce, symbol, validation, lastQuote) {
+    // Returns why a quote can't be believed, or null if it looks fine
+    return (
+      this.checkRange(pricePerOunce, symbol, validation) ||
+      this.checkMove(pricePerOunce, validation, lastQuote)
+    );
+  }
+
+  checkRange(pricePerOunce, symbol, validation) {
+    const range = validation.ranges[symbol];
+    if (
+      pricePerOunce < range.minPerOunce ||
+      pricePerOunce > range.maxPerOunce
+    ) {
+      return `$${pricePerOunce.toFixed(2)}/ozt is outside the sanity range $${
+        range.minPerOunce
+      }-$${range.maxPerOunce}`;
+    }
+    return null;
+  }
+
+  checkMove(pricePerOunce, validation, lastQuote) {
+    const age = lastQuote ? Date.now() - lastQuote.t : Infinity;
+    if (age >= this.priceMoveWindow) {
+      return null;
+    }
+    // Prices drift further the longer it has been, so a real move that was
+    // rejected at first is accepted a few days later at most
+    const days = age / (24 * 60 * 60 * 1000);
+    const maxMove = validation.maxMove * Math.max(1, days);
+    const move = Math.abs(pricePerOunce - lastQuote.p) / lastQuote.p;
+    if (move > maxMove) {
+      return `$${pricePerOunce.toFixed(2)}/ozt is a ${(move * 100).toFixed(
+        1
+      )}% move from the last accepted $${lastQuote.p.toFixed(2)}`;
+    }
+    return null;
+  }
+
+  async logRejectedQuotes(symbol, rejected) {
+    // Keep the most recent rejections so the popup can show what happened
+    if (rejected.length === 0) {
+      return;
+    }
+    try {
+      const { priceDiagnostics = [] } = await chrome.storage.local.get([
+        "priceDiagnostics",
+      ]);
+      const timestamp = Date.now();
+      const entries = rejected.map((quote) => ({
+        timestamp,
+        symbol,
+        ...quote,
+      }));
+      await chrome.storage.local.set({
+        priceDiagnostics: [...entries, ...priceDiagnostics].slice(
+          0,
+          this.diagnosticsLimit
+        ),
+      });
+    } catch (error) {
+      console.error("Error logging rejected quotes:", error);
+    }
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2
+      ? sorted[middle]
+      : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  async fetchMetalPrice(symbol) {
+    const metal = this.metals[symbol];
+
+    const providers = await this.getEnabledProviders();
+    const validation = await this.getPriceValidation();
+    const lastQuote = await this.getLastAcceptedQuote(symbol);
+
+    // Ask every provider at once rather than stopping at the first answer
+    const results = await Promise.allSettled(
+      providers.map((provider) => this.fetchProviderQuote(provider, symbol))
+    );
+
+    const quotes = [];
+    const errors = [];
+    const rejected = [];
+    const reject = (quote, reason) => {
+      console.warn(
+        `Rejected ${metal.name} quote from ${quote.provider}: ${reason}`
+      );
+      rejected.push({ ...quote, reason });
+      errors.push({ provider: quote.provider, error: reason });
+    };
+    const inRange = [];
+    results.forEach((result, index) => {
+      if (result.status === "fulfilled") {
+        const quote = result.value;
+        const reason = this.checkRange(quote.pricePerOunce, symbol, validation);
+        if (reason) {
+          reject(quote, reason);
+        } else {
+          inRange.push(quote);
+        }
+      } else {
+        const provider = providers[index].name;
+        console.error(`Error fetching from ${provider}:`, result.reason);
+        errors.push({ provider, error: result.reason.message });
+      }
+    });
+
+    // Two or more providers agreeing on a price confirm a real market move,
+    // which the move check alone would block until the window has passed
+    const inRangeMedian = this.median(
+      inRange.map((quote) => quote.pricePerOunce)
+    );
+    const confirmed = inRange.filter(
+      (quote) =>
+        Math.abs(quote.pricePerOunce - inRangeMedian) / inRangeMedian <=
+        this.maxProviderDeviation
+    );
+    for (const quote of inRange) {
+      const reason =
+        confirmed.length > 1 && confirmed.includes(quote)
+          ? null
+          : this.checkMove(quote.pricePerOunce, validation, lastQuote);
+      if (reason) {
+        reject(quote, reason);
+      } else {
+        quotes.push(quote);
+      }
+    }
+
+    if (quotes.length === 0) {
+      await this.logRejectedQuotes(symbol, rejected);
+      const error = new Error(
+        providers.length
+          ? `All ${metal.name} price providers failed`
+          : "No price providers are enabled"
+      );
+      error.providerErrors = errors;
+      throw error;
+    }
+
+    // Reject quotes too far from the median. Two quotes that disagree can't
+    // outvote each other, so the higher-priority provider wins
+    const median = this.median(quotes.map((quote) => quote.pricePerOunce));
+    const deviation = (quote) =>
+      Math.abs(quote.pricePerOunce - median) / median;
+    let agreeing = quotes.filter(
+      (quote) => deviation(quote) <= this.maxProviderDeviation
+    );
+    if (agreeing.length === 0) {
+      agreeing = [quotes[0]];
+    }
+    const outliers = quotes.filter((quote) => !agreeing.includes(quote));
+    outliers.forEach((quote) => {
+      console.warn(
+        `Rejected outlier ${metal.name} quote from ${quote.provider}: $${quote.pricePerOunce}`
+      );
+      rejected.push({
+        ...quote,
+        reason: `${(deviation(quote) * 100).toFixed(
+          1
+        )}% away from the other providers`,
+      });
+    });
+    await this.logRejectedQuotes(symbol, rejected);
+
+    const agreedPrices = agreeing.map((quote) => quote.pricePerOunce);
+    const pricePerOunce = this.median(agreedPrices);
+
+    // Spread across every quote received, as a fraction of the consensus
+    const allPrices = quotes.map((quote) => quote.pricePerOunce);
+    const spread =
+      (Math.max(...allPrices) - Math.min(...allPrices)) / pricePerOunce;
+
+    // Convert from price per troy ounce to price per gram
+    const pricePerGram = pricePerOunce / this.gramsPerOunce;
+
+    const priceData = {
+      symbol,
+      price: pricePerGram, // Price per gram (for gold, equivalent to 1 KAU)
+      pricePerOunce: pricePerOunce,
+      source: agreeing.length > 1 ? "consensus" : agreeing[0].provider,
+      providers: agreeing.map((quote) => quote.provider),
+      quotes,
+      outliers: outliers.map((quote) => quote.provider),
+      errors,
+      spread,
+      timestamp: Date.now(),
+      lastUpdated: new Date().toISOString(),
+    };
+
+    console.log(`${metal.name} price updated:`, priceData);
+    return priceData;
   }
 
   async fetchGoldPrice() {
-    for (const api of this.goldApis) {
+    try {
+      const priceData = await this.fetchMetalPrice("XAU");
+      await chrome.storage.local.set({ kauPrice: priceData });
+      await chrome.storage.local.remove("kauPriceError");
+      await this.recordPriceHistory(priceData);
+      return priceData;
+    } catch (error) {
+      // Keep the last real quote and record why it couldn't be refreshed;
+      // content scripts decide how to treat it under the staleness policy
+      console.warn("Gold price refresh failed:", error.message);
+      await chrome.storage.local.set({
+        kauPriceError: {
+          error: error.message,
+          providers: error.providerErrors || [],
+          timestamp: Date.now(),
+          lastAttempt: new Date().toISOString(),
+        },
+      });
+      return null;
+    }
+  }
+
+  getFallbackPrice() {
+    // Made-up gold price for the "fallback" staleness policy
+    return {
+      symbol: "XAU",
+      price: this.fallbackGoldPricePerGram,
+      pricePerOunce: this.fallbackGoldPricePerGram * this.gramsPerOunce,
+      source: "fallback",
+      timestamp: Date.now(),
+      lastUpdated: new Date().toISOString(),
+    };
+  }
+
+  async fetchOtherMetalPrices() {
+    // Silver, platinum and palladium have no fallback - a metal whose quote
+    // can't be refreshed keeps its last known price
+    const { metalPrices = {} } = await chrome.storage.local.get([
+      "metalPrices",
+    ]);
+
+    for (const symbol of Object.keys(this.metals)) {
+      if (symbol === "XAU") {
+        continue;
+      }
       try {
-        console.log(`Fetching gold price from ${api.name}...`);
+        const priceData = await this.fetchMetalPrice(symbol);
+        metalPrices[symbol] = priceData;
+        await this.recordPriceHistory(priceData);
+      } catch (error) {
+        console.warn(`${error.message} for ${symbol}, keeping previous price`);
+      }
+    }
+
+    await chrome.storage.local.set({ metalPrices });
+    return metalPrices;
+  }
+
+  async recordPriceHistory(priceData) {
+    try {
+      const { priceHistory = {} } = await chrome.storage.local.get([
+        "priceHistory",
+      ]);
+      const points = priceHistory[priceData.symbol] || [];
+      points.push({ t: priceData.timestamp, p: priceData.pricePerOunce });
+
+      priceHistory[priceData.symbol] = this.downsampleHistory(
+        points,
+        Date.now()
+      );
+      await chrome.storage.local.set({ priceHistory });
+    } catch (error) {
+      console.error("Error recording price history:", error);
+    }
+  }
+
+  downsampleHistory(points, now) {
+    // Drop expired points, then keep only the newest point in each bucket
+    // of the older resolution tiers
+    const kept = [];
+    const seenBuckets = new Set();
+
+    const sorted = points
+      .filter((point) => now - point.t <= this.historyRetention)
+      .sort((a, b) => b.t - a.t);
+
+    for (const point of sorted) {
+      const tier = this.historyResolution.find(
+        (resolution) => now - point.t > resolution.olderThan
+      );
+      if (tier) {
+        const bucketKey = `${tier.bucket}:${Math.floor(point.t / tier.bucket)}`;
+        if (seenBuckets.has(bucketKey)) {
+          continue;
+        }
+        seenBuckets.add(bucketKey);
+      }
+      kept.push(point);
+    }
+
+    return kept.reverse();
+  }
+
+  async getHistoricalGoldPrice(month) {
+    // Monthly XAU/USD averages bundled with the extension, loaded on first use
+    try {
+      if (!this.historicalPrices) {
+        const response = await fetch(
+          chrome.runtime.getURL("data/xau-usd-monthly.json")
+        );
+        this.historicalPrices = (await response.json()).prices;
+      }
+    } catch (error) {
+      console.error("Error loading historical gold prices:", error);
+      return null;
+    }
+
+    const pricePerOunce = this.historicalPrices[month];
+    if (!pricePerOunce) {
+      return null;
+    }
+
+    return {
+      month,
+      price: pricePerOunce / this.gramsPerOunce,
+      pricePerOunce,
+    };
+  }
+
+  async fetchFxRates() {
+    for (const api of this.fxApis) {
+      try {
+        console.log(`Fetching exchange rates from ${api.name}...`);
         const response = await fetch(api.url, {
           method: "GET",
           headers: {
@@ -45,60 +521,41 @@ class GoldPriceFetcher {
           );
         }
 
-        const data = await response.json();
-        console.log(`Raw data from ${api.name}:`, data);
-        const pricePerOunce = api.parser(data);
-
-        if (isNaN(pricePerOunce) || pricePerOunce <= 0) {
-          throw new Error(`Invalid price from ${api.name}: ${pricePerOunce}`);
+        const rates = api.parser(await response.json());
+        if (!rates || typeof rates !== "object") {
+          throw new Error(`Invalid exchange rates from ${api.name}`);
         }
 
-        // Validate that the price is reasonable (gold should be $1000-5000 per ounce)
-        if (pricePerOunce < 1000 || pricePerOunce > 5000) {
-          throw new Error(
-            `Unrealistic gold price from ${api.name}: $${pricePerOunce} per ounce`
-          );
-        }
-
-        // Convert from price per troy ounce to price per gram
-        const pricePerGram = pricePerOunce / this.gramsPerOunce;
-
-        const priceData = {
-          price: pricePerGram, // Price per gram of gold (equivalent to 1 KAU)
-          pricePerOunce: pricePerOunce,
+        const fxData = {
+          base: "USD",
+          rates: { ...rates, USD: 1 },
           source: api.name,
           timestamp: Date.now(),
           lastUpdated: new Date().toISOString(),
         };
 
-        await chrome.storage.local.set({ kauPrice: priceData });
-        console.log(`Gold price updated from ${api.name}:`, priceData);
-        return priceData;
+        await chrome.storage.local.set({ fxRates: fxData });
+        console.log(`Exchange rates updated from ${api.name}`);
+        return fxData;
       } catch (error) {
         console.error(`Error fetching from ${api.name}:`, error);
         continue;
       }
     }
 
-    // If all APIs fail, use fallback price
-    console.warn("All gold price APIs failed, using fallback price");
-    const fallbackData = {
-      price: this.fallbackGoldPricePerGram,
-      pricePerOunce: this.fallbackGoldPricePerGram * this.gramsPerOunce,
-      source: "fallback",
-      timestamp: Date.now(),
-      lastUpdated: new Date().toISOString(),
-    };
-
-    await chrome.storage.local.set({ kauPrice: fallbackData });
-    console.log("Using fallback gold price:", fallbackData);
-    return fallbackData;
+    // Keep whatever rates we stored last time - they move far less than gold
+    console.warn("All exchange rate APIs failed, keeping previous rates");
+    const { fxRates } = await chrome.storage.local.get(["fxRates"]);
+    return fxRates || null;
   }
 
   async updateGoldPrice() {
     try {
       console.log("Updating gold price per gram...");
-      return await this.fetchGoldPrice();
+      await this.fetchFxRates();
+      const priceData = await this.fetchGoldPrice();
+      await this.fetchOtherMetalPrices();
+      return priceData;
     } catch (error) {
       console.error("Error updating gold price:", error);
 
@@ -110,41 +567,117 @@ class GoldPriceFetcher {
       };
       await chrome.storage.local.set({ kauPriceError: errorData });
 
-      // Don't throw error since we have fallback price
-      console.log("Using fallback price due to error");
+      // Don't throw; callers treat a missing price as a failed refresh
     }
   }
 
-  async scheduleNextUpdate() {
-    // Clear existing timeout
-    if (this.updateTimeout) {
-      clearTimeout(this.updateTimeout);
+  refreshPrices() {
+    // Share one refresh between callers that arrive while it is running
+    if (!this.refreshing) {
+      this.refreshing = this.runRefresh().finally(() => {
+        this.refreshing = null;
+      });
     }
+    return this.refreshing;
+  }
 
-    // Schedule next update
-    this.updateTimeout = setTimeout(async () => {
-      try {
-        await this.updateGoldPrice();
-        this.scheduleNextUpdate(); // Schedule the next one
-      } catch (error) {
-        console.error("Scheduled price update failed:", error);
-        // Retry in shorter interval on error
-        setTimeout(() => this.scheduleNextUpdate(), this.retryDelay);
-      }
-    }, this.refreshInterval);
+  async runRefresh() {
+    const priceData = await this.updateGoldPrice();
+    const succeeded = !!priceData;
+
+    const { refreshState = {} } = await chrome.storage.local.get([
+      "refreshState",
+    ]);
+    const failures = succeeded ? 0 : (refreshState.failures || 0) + 1;
+    const delay = succeeded
+      ? this.refreshInterval
+      : this.getRetryDelay(failures);
+    await this.scheduleNextUpdate(Date.now() + delay, failures);
+
+    if (succeeded) {
+      await this.broadcastPriceUpdate(priceData);
+    }
+
+    return priceData;
+  }
+
+  async broadcastPriceUpdate(priceData) {
+    // Let every open tab recompute its badges with the new quote
+    const { fxRates, metalPrices } = await chrome.storage.local.get([
+      "fxRates",
+      "metalPrices",
+    ]);
+    const message = {
+      action: "priceUpdated",
+      price: priceData,
+      fxRates,
+      metalPrices,
+    };
+
+    await broadcastToTabs(message);
+  }
+
+  getRetryDelay(failures) {
+    // Exponential backoff capped at the normal interval, with jitter so
+    // browsers that failed together don't all retry together
+    const backoff = Math.min(
+      this.retryDelay * 2 ** (failures - 1),
+      this.refreshInterval
+    );
+    const jitter = 1 + (Math.random() * 2 - 1) * this.retryJitter;
+    return Math.round(backoff * jitter);
   }
 
-  start() {
+  async scheduleNextUpdate(nextRunAt, failures = 0) {
+    // Service workers are stopped long before a 30 minute timer would fire,
+    // so the next run is an alarm and its time is kept in storage
+    await chrome.alarms.create(this.refreshAlarm, { when: nextRunAt });
+    await chrome.storage.local.set({
+      refreshState: {
+        nextRunAt,
+        failures,
+        lastAttempt: new Date().toISOString(),
+      },
+    });
+    console.log(
+      `Next price update at ${new Date(nextRunAt).toISOString()}` +
+        (failures ? ` (retry ${failures})` : "")
+    );
+  }
+
+  async isStale() {
+    // Follows the schedule, so retries still back off while there is no price
+    const { refreshState } = await chrome.storage.local.get(["refreshState"]);
+    return !refreshState || Date.now() >= refreshState.nextRunAt;
+  }
+
+  async refreshIfStale() {
+    if (await this.isStale()) {
+      console.log("Prices are stale, refreshing...");
+      return this.refreshPrices();
+    }
+    return null;
+  }
+
+  async start() {
     console.log("Starting gold price fetcher...");
-    this.updateGoldPrice()
-      .then(() => {
-        this.scheduleNextUpdate();
-      })
-      .catch((error) => {
-        console.error("Initial gold price fetch failed:", error);
-        // Still schedule retries
-        this.scheduleNextUpdate();
-      });
+    try {
+      // Alarms may not survive a browser restart, so make sure one exists
+      const alarm = await chrome.alarms.get(this.refreshAlarm);
+      if (!alarm) {
+        const { refreshState } = await chrome.storage.local.get([
+          "refreshState",
+        ]);
+        if (refreshState && refreshState.nextRunAt > Date.now()) {
+          await chrome.alarms.create(this.refreshAlarm, {
+            when: refreshState.nextRunAt,
+          });
+        }
+      }
+      await this.refreshIfStale();
+    } catch (error) {
+      console.error("Initial gold price fetch failed:", error);
+    }
   }
 }
 
@@ -158,6 +691,8 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 
   // Set icon based on enabled state
   await setIconBasedOnEnabledState();
+
+  createContextMenus();
 });
 
 // Start fetching prices when extension starts
@@ -166,19 +701,116 @@ chrome.runtime.onStartup.addListener(() => {
   priceFetcher.start();
 });
 
+// Scheduled refreshes, including backed-off retries
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === priceFetcher.refreshAlarm) {
+    priceFetcher.refreshPrices().catch((error) => {
+      console.error("Scheduled price refresh failed:", error);
+    });
+  }
+});
+
+// Right-click actions on selected text. The content script does the
+// parsing, so these work on excluded sites and with conversion off
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: "convertSelection",
+      title: "Convert selection to gold",
+      contexts: ["selection"],
+    });
+    chrome.contextMenus.create({
+      id: "sumSelection",
+      title: "Sum prices in selection",
+      contexts: ["selection"],
+    });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (
+    info.menuItemId !== "convertSelection" &&
+    info.menuItemId !== "sumSelection"
+  ) {
+    return;
+  }
+  try {
+    await chrome.tabs.sendMessage(
+      tab.id,
+      { action: info.menuItemId, selectionText: info.selectionText },
+      { frameId: info.frameId || 0 }
+    );
+  } catch (error) {
+    // Pages opened before the extension was installed have no content script
+    console.warn(`Could not run ${info.menuItemId} in tab ${tab.id}:`, error);
+  }
+});
+
+// Keyboard shortcuts from the manifest's commands
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab?.id) {
+    return;
+  }
+  try {
+    if (command === "pause-site") {
+      // New tab, about: and other browser pages have no site to pause
+      if (!/^https?:\/\//.test(tab.url || "")) {
+        return;
+      }
+      await toggleSitePause(tab.url);
+      await updateIconForTab(tab);
+    } else if (command === "toggle-conversion") {
+      await chrome.tabs.sendMessage(tab.id, { action: "toggleTabConversion" });
+    } else if (command === "peek-original-prices") {
+      // The top frame peeks for its same-origin frames as well
+      await chrome.tabs.sendMessage(
+        tab.id,
+        { action: "peekOriginalPrices" },
+        { frameId: 0 }
+      );
+    }
+  } catch (error) {
+    // Pages opened before the extension was installed have no content script
+    console.warn(`Could not run ${command} in tab ${tab.id}:`, error);
+  }
+});
+
 // Handle messages from content scripts and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "getKAUPrice") {
-    chrome.storage.local.get(["kauPrice", "kauPriceError"]).then((data) => {
-      console.log("🚀 ~ data:", data);
-      sendResponse(data);
-    });
+    // The worker may have slept through its alarm; refresh if prices are
+    // stale, but only make the caller wait when there is no price at all
+    const keys = ["kauPrice", "kauPriceError", "fxRates", "metalPrices"];
+    let data = {};
+    const refresh = priceFetcher.refreshIfStale();
+    chrome.storage.local
+      .get(keys)
+      .then(async (stored) => {
+        data = stored;
+        if (!data.kauPrice) {
+          await refresh;
+          data = await chrome.storage.local.get(keys);
+        }
+      })
+      .catch((error) => {
+        // Answer with whatever was stored so the caller isn't left waiting
+        console.error("Failed to refresh prices for getKAUPrice:", error);
+      })
+      .then(() => {
+        console.log("🚀 ~ data:", data);
+        sendResponse({
+          ...data,
+          fallbackPrice: priceFetcher.getFallbackPrice(),
+        });
+      });
+    // The reply above already covers a failed refresh; don't leave it unhandled
+    refresh.catch(() => {});
     return true; // Keep message channel open for async response
   }
 
   if (request.action === "refreshPrice") {
     priceFetcher
-      .updateGoldPrice()
+      .refreshPrices()
       .then((priceData) => {
         sendResponse({ success: true, data: priceData });
       })
@@ -188,6 +820,65 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Keep message channel open for async response
   }
 
+  if (request.action === "getPriceProviders") {
+    priceFetcher.getPriceProviders().then((providers) => {
+      sendResponse({ providers });
+    });
+    return true; // Keep message channel open for async response
+  }
+
+  if (request.action === "getPriceValidation") {
+    priceFetcher.getPriceValidation().then((validation) => {
+      sendResponse({ validation });
+    });
+    return true; // Keep message channel open for async response
+  }
+
+  if (request.action === "testProvider") {
+    // Fetch a single quote without storing it, for the settings page
+    priceFetcher
+      .fetchProviderQuote(request.provider, request.symbol || "XAU")
+      .then(async (quote) => {
+        // Say whether the quote would pass the plausibility checks
+        const symbol = request.symbol || "XAU";
+        const warning = priceFetcher.checkPlausibility(
+          quote.pricePerOunce,
+          symbol,
+          await priceFetcher.getPriceValidation(),
+          await priceFetcher.getLastAcceptedQuote(symbol)
+        );
+        sendResponse({ success: true, quote, warning });
+      })
+      .catch((error) => {
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Keep message channel open for async response
+  }
+
+  if (request.action === "getHistoricalPrice") {
+    priceFetcher
+      .getHistoricalGoldPrice(request.month)
+      .then((historicalPrice) => {
+        sendResponse({ historicalPrice });
+      });
+    return true; // Keep message channel open for async response
+  }
+
+  if (request.action === "getShadowStyles") {
+    // Badge styles for shadow roots. styles.css isn't web accessible, so
+    // pages can't fetch it to detect the extension
+    fetch(chrome.runtime.getURL("styles.css"))
+      .then((response) => response.text())
+      .then((css) => {
+        sendResponse({ css });
+      })
+      .catch((error) => {
+        console.error("Error reading styles.css:", error);
+        sendResponse({ css: "" });
+      });
+    return true; // Keep message channel open for async response
+  }
+
   if (request.action === "openPopup") {
     // Open the extension popup
     chrome.action.openPopup();
@@ -239,6 +930,20 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request.action === "addExcludedSelector") {
+    // Sent by the element picker, which runs in the page after the popup
+    // has closed
+    addExcludedSelector(request.url, request.selector)
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch((error) => {
+        console.error("Error saving excluded selector:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Keep message channel open for async response
+  }
+
   if (request.action === "updateIconForCurrentTab") {
     // Update icon for the current active tab
     chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
@@ -268,13 +973,78 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   }
 });
 
+async function broadcastToTabs(message) {
+  const tabs = await chrome.tabs.query({});
+  const promises = tabs.map(async (tab) => {
+    try {
+      await chrome.tabs.sendMessage(tab.id, message);
+    } catch (error) {
+      // Ignore errors for tabs without content script (like chrome:// pages)
+      if (!error.message.includes("Could not establish connection")) {
+        console.warn(
+          `Error sending ${message.action} to tab ${tab.id}:`,
+          error
+        );
+      }
+    }
+  });
+  await Promise.allSettled(promises);
+  console.log(`Sent ${message.action} to ${tabs.length} tabs`);
+}
+
+// Change the profile that applies to the page, creating one for the page's
+// domain if none does. Profiles left without settings are removed
+async function updateSiteProfile(url, update) {
+  const { siteProfiles = [] } = await chrome.storage.local.get([
+    "siteProfiles",
+  ]);
+  let profile = UrlRules.findSiteProfile(url, siteProfiles);
+  if (!profile) {
+    profile = { pattern: UrlRules.siteRuleFor(url) };
+    siteProfiles.push(profile);
+  }
+  update(profile);
+
+  const profiles = siteProfiles.filter(
+    (existing) => Object.keys(existing).length > 1
+  );
+  await chrome.storage.local.set({ siteProfiles: profiles });
+  await broadcastToTabs({
+    action: "updateSiteProfiles",
+    siteProfiles: profiles,
+  });
+}
+
+async function addExcludedSelector(url, selector) {
+  await updateSiteProfile(url, (profile) => {
+    profile.excludedSelectors = [
+      ...new Set([...(profile.excludedSelectors || []), selector]),
+    ];
+  });
+}
+
+async function toggleSitePause(url) {
+  await updateSiteProfile(url, (profile) => {
+    if (profile.paused) {
+      delete profile.paused;
+    } else {
+      profile.paused = true;
+    }
+  });
+}
+
 // Function to update icon based on tab's URL and enabled state
 async function updateIconForTab(tab) {
   try {
-    // Get enabled state and excluded URLs from storage
-    const result = await chrome.storage.local.get(["enabled", "excludedUrls"]);
+    // Get enabled state and URL lists from storage
+    const result = await chrome.storage.local.get([
+      "enabled",
+      "urlListMode",
+      "excludedUrls",
+      "allowedUrls",
+      "siteProfiles",
+    ]);
     const enabled = result.enabled !== false; // default to true
-    const excludedUrls = result.excludedUrls || [];
 
     // If extension is disabled globally, show disabled icon
     if (!enabled) {
@@ -292,22 +1062,10 @@ async function updateIconForTab(tab) {
       return;
     }
 
-    // Check if current tab URL is excluded
-    const currentUrl = new URL(tab.url);
-    const hostname = currentUrl.hostname;
-    const fullUrl = tab.url;
+    const blockReason = UrlRules.getBlockReason(tab.url, result);
 
-    // Check hardcoded excluded URLs first
-    let isHardcodedExcluded = false;
-    for (const excludedUrl of HARDCODED_EXCLUDED_URLS) {
-      if (hostname === excludedUrl || hostname.endsWith(`.${excludedUrl}`)) {
-        isHardcodedExcluded = true;
-        break;
-      }
-    }
-
-    // If hardcoded excluded, set hardcoded icon and return
-    if (isHardcodedExcluded) {
+    // Check hardcoded excluded URLs first; if excluded, set hardcoded icon
+    if (blockReason === "hardcoded") {
       chrome.action.setIcon({
         path: {
           16: "icon16-hardcoded.png",
@@ -322,26 +1080,10 @@ async function updateIconForTab(tab) {
       return;
     }
 
-    // If no user exclusions, set normal icon
-    if (excludedUrls.length === 0) {
-      chrome.action.setIcon({
-        path: {
-          16: "icon16.png",
-          48: "icon48.png",
-          128: "icon128.png",
-        },
-      });
-      chrome.action.setTitle({ title: "Priced In Gold" });
-      return;
-    }
-
-    // Check if current tab URL matches any user-excluded patterns
-    const isUserExcluded = excludedUrls.some((pattern) => {
-      return matchesUrlPattern(hostname, fullUrl, pattern);
-    });
-
-    if (isUserExcluded) {
-      // Set disabled icon for user-excluded site
+    const profile = UrlRules.findSiteProfile(tab.url, result.siteProfiles);
+    if (blockReason || profile?.paused) {
+      // Set disabled icon for a user-excluded site, one missing from the
+      // allowlist, or one paused by its site profile
       chrome.action.setIcon({
         path: {
           16: "icon16-disabled.png",
@@ -350,9 +1092,14 @@ async function updateIconForTab(tab) {
         },
       });
       chrome.action.setTitle({
-        title: "Priced In Gold (Disabled on this site)",
+        title:
+          blockReason === "not-allowed"
+            ? "Priced In Gold (Not on your allowed sites)"
+            : blockReason
+            ? "Priced In Gold (Disabled on this site)"
+            : "Priced In Gold (Paused on this site)",
       });
-      console.log("Tab is user excluded:", tab.url);
+      console.log(`Tab is ${blockReason}:`, tab.url);
     } else {
       // Set normal icon
       chrome.action.setIcon({
@@ -370,65 +1117,6 @@ async function updateIconForTab(tab) {
   }
 }
 
-// URL pattern matching function (same as in content script)
-function matchesUrlPattern(hostname, fullUrl, pattern) {
-  // Handle URL patterns with paths (e.g., "x.com/search")
-  if (pattern.includes("/")) {
-    try {
-      // Normalize the pattern URL
-      const patternUrl = pattern.startsWith("http")
-        ? pattern
-        : `https://${pattern}`;
-      const patternObj = new URL(patternUrl);
-
-      // Check if hostname matches
-      if (hostname !== patternObj.hostname) {
-        return false;
-      }
-
-      // Check if path matches (supports wildcards in path)
-      const currentPath = new URL(fullUrl).pathname;
-      const patternPath = patternObj.pathname;
-
-      if (patternPath.endsWith("*")) {
-        // Wildcard path matching
-        const pathPrefix = patternPath.slice(0, -1);
-        return currentPath.startsWith(pathPrefix);
-      } else {
-        // Exact path matching
-        return currentPath === patternPath;
-      }
-    } catch (error) {
-      // If URL parsing fails, fall back to hostname matching
-      return hostname === pattern;
-    }
-  }
-
-  // Handle wildcard domain patterns
-  if (pattern.startsWith("*.")) {
-    const domain = pattern.substring(2);
-    return hostname === domain || hostname.endsWith("." + domain);
-  }
-
-  if (pattern.endsWith("*")) {
-    const prefix = pattern.slice(0, -1);
-    return hostname.startsWith(prefix);
-  }
-
-  // Handle localhost with port
-  if (pattern.startsWith("localhost")) {
-    return hostname.startsWith("localhost");
-  }
-
-  // Handle 127.0.0.1 with port
-  if (pattern.startsWith("127.0.0.1")) {
-    return hostname.startsWith("127.0.0.1");
-  }
-
-  // Exact hostname match or subdomain match
-  return hostname === pattern || hostname.endsWith(`.${pattern}`);
-}
-
 // Function to set icon based on enabled state
 async function setIconBasedOnEnabledState() {
   try {
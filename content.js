@@ -4,40 +4,255 @@ class USDToKAUConverter {
   constructor() {
     this.isEnabled = true;
     this.kauPrice = null; // This will contain gold price per gram
+    this.fxRates = null; // Units of each currency per 1 USD
     this.processedElements = new WeakSet();
+    this.conversions = new WeakMap(); // Badge -> the page nodes it replaced
     this.observer = null;
-    this.debounceTimeout = null;
+    this.pendingNodes = new Set(); // Added or changed nodes not yet converted
+    this.idleCallback = null;
+    this.chunkBudgetMs = 10; // Per chunk when the idle callback times out
+    this.lazyConversion = false; // Convert regions as they near the viewport
+    this.lazyBlocks = new Set(); // Regions the lazy pass hasn't converted yet
+    this.lazyTotal = 0;
+    this.lazyObserver = null;
+    this.lazyIdleCallback = null;
+    this.lazyBlockChars = 2000; // Larger containers are split into children
     this.excludedUrls = [];
-    this.currentUrl = window.location.href;
-
-    // Hardcoded excluded URLs that should always be excluded
-    this.hardcodedExcludedUrls = ["kinesis.money", "mene.com"];
-
-    // USD price regex patterns - ordered from most specific to least specific
-    // Now includes written and abbreviated amounts for conversion
-    this.pricePatterns = [
+    this.allowedUrls = [];
+    this.urlListMode = "exclude"; // "allow" converts only on allowedUrls
+    // Frames are judged by the tab's page, so exclusions and site profiles
+    // apply to the whole tab (only same-origin frames get this far)
+    this.currentUrl = window.top.location.href;
+    this.shadowRoots = new Set(); // Open shadow roots being converted
+    this.shadowStyles = null; // styles.css for shadow roots, once fetched
+    // Effective settings for this page: the global settings below, with any
+    // overrides from the site profile that best matches the URL
+    this.displayFormat = "auto";
+    this.targetMetal = "XAU";
+    this.dollarCurrency = null; // Forces what a bare "$" means
+    this.displayStyle = "badge"; // "badge", "compact" or "text"
+    this.isPaused = false;
+    this.excludedSelector = null; // Elements left alone on this site
+
+    // Contexts whose text is never rewritten, each switchable in the popup:
+    // editors, code samples ("$1", "$PATH"), form controls that can't hold
+    // markup, and SVG text
+    this.skipContextSelectors = {
+      editable: '[contenteditable]:not([contenteditable="false"])',
+      code: "code, pre, kbd, samp, var",
+      forms: "textarea, select, option, optgroup, datalist",
+      svg: "svg",
+    };
+    this.skipContexts = { editable: true, code: true, forms: true, svg: true };
+    this.skipSelector = this.buildSkipSelector();
+
+    // Split prices are looked for around short text nodes with a currency
+    // sign or code, inside containers made only of these inline tags
+    this.splitPriceSeed = /[$€£¥₹₩₽₺₪₱฿]|\b[A-Z]{3}\b/;
+    this.splitPriceTags = new Set([
+      "SPAN",
+      "SUP",
+      "SUB",
+      "B",
+      "STRONG",
+      "EM",
+      "I",
+      "SMALL",
+      "S",
+      "U",
+      "INS",
+      "DEL",
+      "BDI",
+      "DATA",
+    ]);
+    this.globalSettings = { displayFormat: "auto", targetMetal: "XAU" };
+    this.siteProfiles = [];
+    this.siteProfile = null;
+    this.metalPrices = {}; // Per-gram USD prices keyed by metal symbol
+
+    // Metals prices can be shown in. KAU-style display formats use each
+    // metal's unit: KAU is 1 gram of gold, KAG is 1 troy ounce of silver
+    this.metals = {
+      XAU: {
+        name: "gold",
+        element: "Au",
+        icon: "KAU_iconticker.png",
+        unit: { label: "KAU", grams: 1 },
+      },
+      XAG: {
+        name: "silver",
+        element: "Ag",
+        unit: { label: "KAG", grams: 31.1034768 },
+      },
+      XPT: { name: "platinum", element: "Pt", unit: { label: "g", grams: 1 } },
+      XPD: { name: "palladium", element: "Pd", unit: { label: "g", grams: 1 } },
+    };
+
+    // Fixed display units, sized in grams of gold (1 KAU = 1 gram)
+    this.displayUnits = {
+      kau: { grams: 1, label: "KAU" },
+      "milli-kau": { grams: 0.001, label: "mKAU" },
+      "micro-kau": { grams: 0.000001, label: "μKAU" },
+      gram: { grams: 1, label: "g" },
+      "troy-ounce": { grams: 31.1034768, label: "ozt" },
+      kilogram: { grams: 1000, label: "kg" },
+      grain: { grams: 0.06479891, label: "gr" },
+      tola: { grams: 11.6638038, label: "tola" },
+    };
+
+    // Dollar price regex patterns - ordered from most specific to least specific
+    // Now includes written and abbreviated amounts for conversion. A bare "$"
+    // or "dollars" could be any dollar currency, so these are resolved per page
+    const dollarPatterns = [
       // Written amounts (most specific first)
       /\$\s*(\d+(?:\.\d+)?)\s*(million|billion|trillion|thousand|hundred)\b/gi, // $300 million, $2.5 billion, etc.
-      /USD\s*(\d+(?:\.\d+)?)\s*(million|billion|trillion|thousand|hundred)\b/gi, // USD 300 million, etc.
       /(\d+(?:\.\d+)?)\s*(million|billion|trillion|thousand|hundred)\s*dollars?/gi, // 300 million dollars, etc.
 
       // Abbreviated amounts
       /\$\s*(\d+(?:\.\d+)?)\s*([kmbt])\b/gi, // $100k, $5M, $2B, etc.
-      /USD\s*(\d+(?:\.\d+)?)\s*([kmbt])\b/gi, // USD 100k, etc.
       /(\d+(?:\.\d+)?)\s*([kmbt])\s*dollars?/gi, // 100k dollars, etc.
 
       // Standard numeric amounts (existing patterns)
       /\$\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)(?=\s|$|[^\d])/g, // $1,234.56 with word boundary
       /\$\s*(\d+\.\d{2})(?=\s|$|[^\d])/g, // $123.45 with word boundary
       /\$\s*(\d+)(?=\s|$|[^\d])/g, // $123 with word boundary
-      /USD\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)(?=\s|$|[^\d])/gi, // USD 1,234.56 with word boundary
-      /USD\s*(\d+\.\d{2})(?=\s|$|[^\d])/gi, // USD 123.45 with word boundary
-      /USD\s*(\d+)(?=\s|$|[^\d])/gi, // USD 123 with word boundary
       /(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)\s*dollars?(?=\s|$|[^\d])/gi, // 1234.56 dollars with word boundary
       /(\d+\.\d{2})\s*dollars?(?=\s|$|[^\d])/gi, // 123.45 dollars with word boundary
       /(\d+)\s*dollars?(?=\s|$|[^\d])/gi, // 123 dollars with word boundary
     ];
 
+    // Amounts explicitly marked as USD
+    const usdPatterns = [
+      /USD\s*(\d+(?:\.\d+)?)\s*(million|billion|trillion|thousand|hundred)\b/gi, // USD 300 million, etc.
+      /USD\s*(\d+(?:\.\d+)?)\s*([kmbt])\b/gi, // USD 100k, etc.
+      /USD\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)(?=\s|$|[^\d])/gi, // USD 1,234.56 with word boundary
+      /USD\s*(\d+\.\d{2})(?=\s|$|[^\d])/gi, // USD 123.45 with word boundary
+      /USD\s*(\d+)(?=\s|$|[^\d])/gi, // USD 123 with word boundary
+    ];
+
+    // Currencies identified by their own symbol, code or name. Symbols and
+    // codes may appear before or after the amount ("€12,50", "12,50 €",
+    // "EUR 12.50"); names only after it. Dollar currencies also accept a bare
+    // "$" followed by their code ("$12.99 CAD").
+    this.currencies = {
+      USD: {
+        symbols: ["US$", "USD$", "U.S.$"],
+        codes: ["USD"],
+        names: ["US dollars?", "U\\.S\\. dollars?"],
+        dollar: true,
+      },
+      CAD: {
+        symbols: ["CA$", "CAN$", "C$"],
+        codes: ["CAD"],
+        names: ["canadian dollars?"],
+        dollar: true,
+      },
+      AUD: {
+        symbols: ["AU$", "A$"],
+        codes: ["AUD"],
+        names: ["australian dollars?"],
+        dollar: true,
+      },
+      NZD: {
+        symbols: ["NZ$"],
+        codes: ["NZD"],
+        names: ["new zealand dollars?"],
+        dollar: true,
+      },
+      HKD: {
+        symbols: ["HK$"],
+        codes: ["HKD"],
+        names: ["hong kong dollars?"],
+        dollar: true,
+      },
+      SGD: {
+        symbols: ["SG$", "S$"],
+        codes: ["SGD"],
+        names: ["singapore dollars?"],
+        dollar: true,
+      },
+      TWD: {
+        symbols: ["NT$"],
+        codes: ["TWD"],
+        names: ["new taiwan dollars?"],
+        dollar: true,
+      },
+      MXN: {
+        symbols: ["MX$", "Mex$"],
+        codes: ["MXN"],
+        names: ["mexican pesos?"],
+        dollar: true,
+      },
+      BRL: { symbols: ["R$"], codes: ["BRL"], names: ["brazilian reais"] },
+      EUR: { symbols: ["€"], codes: ["EUR"], names: ["euros?"] },
+      GBP: { symbols: ["£"], codes: ["GBP"], names: ["pounds? sterling"] },
+      JPY: { symbols: ["JP¥", "¥", "円"], codes: ["JPY"], names: ["yen"] },
+      CNY: {
+        symbols: ["CN¥", "元"],
+        codes: ["CNY", "RMB"],
+        names: ["yuan", "renminbi"],
+      },
+      CHF: { symbols: [], codes: ["CHF"], names: ["swiss francs?"] },
+      INR: { symbols: ["₹"], codes: ["INR"], names: ["rupees?"] },
+      KRW: { symbols: ["₩"], codes: ["KRW"], names: [] },
+      RUB: { symbols: ["₽"], codes: ["RUB"], names: ["roubles?", "rubles?"] },
+      TRY: { symbols: ["₺"], codes: ["TRY"], names: [] },
+      PLN: { symbols: ["zł"], codes: ["PLN"], names: [] },
+      SEK: { symbols: [], codes: ["SEK"], names: [] },
+      NOK: { symbols: [], codes: ["NOK"], names: [] },
+      DKK: { symbols: [], codes: ["DKK"], names: [] },
+    };
+
+    // Country subtags (from <html lang> or the TLD) whose local currency is
+    // written with a bare "$"
+    this.dollarRegions = {
+      US: "USD",
+      CA: "CAD",
+      AU: "AUD",
+      NZ: "NZD",
+      HK: "HKD",
+      SG: "SGD",
+      TW: "TWD",
+      MX: "MXN",
+    };
+    this.pageDollarCurrency = null; // Resolved lazily from page signals
+
+    // Historical mode: price USD amounts at the gold price of the month the
+    // page was published
+    this.historicalMode = false;
+    this.historicalCompare = false;
+    this.historicalPrice = null;
+
+    // What to do once the latest quote is older than stalePriceHours:
+    // "last-quote" keeps using it, "refuse" stops converting and "fallback"
+    // switches gold to the background's fallback price
+    this.stalePolicy = "last-quote";
+    this.stalePriceHours = 6;
+    this.fallbackPrice = null;
+    this.staleTimeout = null;
+
+    // Every pattern is tagged with the currency its amounts are quoted in;
+    // "$" means "whichever dollar this page uses"
+    this.pricePatterns = [
+      ...this.buildCurrencyPricePatterns(),
+      ...usdPatterns.map((pattern) => ({ pattern, currency: "USD" })),
+      ...dollarPatterns.map((pattern) => ({ pattern, currency: "$" })),
+    ];
+
+    // Billing periods and units a price can be quoted per ("$9.99/mo"),
+    // shown after the metal amount in their short form
+    this.rateSuffixes = {
+      mo: "mo",
+      month: "mo",
+      yr: "yr",
+      year: "yr",
+      hr: "hr",
+      hour: "hr",
+      lb: "lb",
+      each: "each",
+      ea: "each",
+    };
+
     // No exclusion patterns needed - we now convert all monetary amounts
 
     this.init();
@@ -50,6 +265,18 @@ class USDToKAUConverter {
     // Load enabled state and excluded URLs from storage
     await this.loadEnabledState();
     await this.loadExcludedUrls();
+    await this.loadDisplayFormat();
+    await this.loadTargetMetal();
+    await this.loadSiteProfiles();
+    await this.loadHistoricalSettings();
+    await this.loadStalenessSettings();
+    await this.loadSkipContexts();
+    await this.loadLazyConversion();
+
+    if (!this.getMetalPrice() && this.kauPrice) {
+      console.warn("Gold price is stale, not converting");
+    }
+    this.scheduleStaleCheck();
 
     // Always process the page - let the exclusion logic handle whether to show conversions
     this.processPage();
@@ -61,26 +288,85 @@ class USDToKAUConverter {
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       if (request.action === "priceUpdated") {
         this.kauPrice = request.price;
-        this.processPage();
+        if (request.fxRates) {
+          this.fxRates = request.fxRates;
+        }
+        if (request.metalPrices) {
+          this.metalPrices = request.metalPrices;
+        }
+        // Existing badges are skipped by processPage, so recompute them in
+        // place, then convert anything that had no price before
+        this.applyPriceState();
       } else if (request.action === "toggleConversion") {
-        this.isEnabled = request.enabled;
-
-        // Update icon based on enabled state
+        this.setEnabled(request.enabled);
+      } else if (request.action === "toggleTabConversion") {
+        // Keyboard shortcut: only this tab, until the global setting changes
+        this.setEnabled(!this.isEnabled);
+      } else if (request.action === "peekOriginalPrices") {
+        this.startPeek();
+      } else if (request.action === "updateFormat") {
+        console.log("Format updated:", request.format);
+        this.globalSettings.displayFormat = request.format || "auto";
+        this.resolveSiteSettings();
+        this.refreshBadges();
+      } else if (request.action === "updateHistoricalMode") {
+        console.log("Historical mode updated:", request.historicalMode);
+        this.historicalMode = request.historicalMode === true;
+        this.historicalCompare = request.historicalCompare === true;
+        const loaded =
+          this.historicalMode && !this.historicalPrice
+            ? this.loadHistoricalPrice()
+            : Promise.resolve();
+        loaded.then(() => this.refreshBadges());
+      } else if (request.action === "updateMetal") {
+        console.log("Target metal updated:", request.metal);
+        this.globalSettings.targetMetal = request.metal || "XAU";
+        this.resolveSiteSettings();
+        this.applyPriceState();
+      } else if (request.action === "updateStalePolicy") {
+        console.log("Staleness policy updated:", request.stalePolicy);
+        this.stalePolicy = request.stalePolicy || "last-quote";
+        this.stalePriceHours = request.stalePriceHours || 6;
+        this.applyPriceState();
+      } else if (request.action === "updateSkipContexts") {
+        console.log("Skipped contexts updated:", request.skipContexts);
+        this.skipContexts = { ...this.skipContexts, ...request.skipContexts };
+        this.skipSelector = this.buildSkipSelector();
+
+        // Newly skipped contexts need their badges removed
+        this.removeConversions();
+        this.processPage();
+      } else if (request.action === "updateLazyConversion") {
+        console.log("Lazy conversion updated:", request.lazyConversion);
+        this.lazyConversion = request.lazyConversion === true;
+        this.processPage();
+      } else if (request.action === "getConversionProgress") {
+        sendResponse(this.getConversionProgress());
+      } else if (request.action === "updateSiteProfiles") {
+        console.log("Site profiles updated:", request.siteProfiles);
+        this.siteProfiles = request.siteProfiles || [];
+        this.resolveSiteSettings();
+        this.pageDollarCurrency = null;
         chrome.runtime.sendMessage({
-          action: "setIcon",
-          iconType: this.isEnabled ? "normal" : "disabled",
+          action: "updateIconForCurrentTab",
         });
 
-        if (this.isEnabled) {
-          // Re-enable conversions - process the page
-          this.processPage();
-        } else {
-          // Disable conversions - remove all existing conversions
-          this.removeConversions();
-        }
-      } else if (request.action === "updateFormat") {
-        // Handle format updates if needed in the future
-        console.log("Format updated:", request.format);
+        // Badges keep the currency they were parsed with, so convert afresh
+        this.removeConversions();
+        this.scheduleStaleCheck();
+        this.processPage();
+      } else if (
+        request.action === "convertSelection" ||
+        request.action === "sumSelection"
+      ) {
+        // From the context menu, so it runs even where the page itself
+        // isn't converted
+        this.showSelectionCard(
+          request.action === "sumSelection",
+          request.selectionText
+        );
+      } else if (request.action === "startElementPicker") {
+        this.startElementPicker();
       } else if (request.action === "testConversion") {
         // Handle test conversion if needed
         console.log("Test conversion requested");
@@ -91,6 +377,8 @@ class USDToKAUConverter {
           request.excludedUrls
         );
         this.excludedUrls = request.excludedUrls || [];
+        this.allowedUrls = request.allowedUrls || [];
+        this.urlListMode = request.urlListMode || "exclude";
         console.log("Updated excludedUrls to:", this.excludedUrls);
 
         // Update icon based on current exclusion status
@@ -105,16 +393,92 @@ class USDToKAUConverter {
     });
   }
 
+  setEnabled(enabled) {
+    this.isEnabled = enabled;
+
+    // Update icon based on enabled state
+    chrome.runtime.sendMessage({
+      action: "setIcon",
+      iconType: this.isEnabled ? "normal" : "disabled",
+    });
+
+    if (this.isEnabled) {
+      // Re-enable conversions - process the page
+      this.processPage();
+    } else {
+      // Disable conversions - remove all existing conversions
+      this.removeConversions();
+    }
+  }
+
+  startPeek() {
+    // Show the original prices while the shortcut is held. A class on <html>
+    // lets the stylesheet swap each badge's text for its stored original, so
+    // nothing is removed or re-parsed
+    if (this.peekEnd) {
+      return;
+    }
+    // Only the top frame is told, and it peeks for its frames too, since a
+    // frame without focus would never see the keyup that ends the peek
+    const windows = this.getSameOriginWindows();
+    windows.forEach((frameWindow) =>
+      frameWindow.document.documentElement.classList.add("kau-peek")
+    );
+    this.peekEnd = () => {
+      windows.forEach((frameWindow) => {
+        try {
+          frameWindow.document.documentElement.classList.remove("kau-peek");
+          frameWindow.document.removeEventListener("keyup", this.peekEnd, true);
+          frameWindow.removeEventListener("blur", this.peekEnd);
+        } catch (error) {
+          // The frame was removed or navigated elsewhere meanwhile
+        }
+      });
+      this.peekEnd = null;
+    };
+    // Releasing any key of the shortcut ends the peek, in whichever frame
+    // has focus, as does switching away, since the keyup would then go to
+    // another window
+    windows.forEach((frameWindow) => {
+      frameWindow.document.addEventListener("keyup", this.peekEnd, true);
+      frameWindow.addEventListener("blur", this.peekEnd);
+    });
+  }
+
+  getSameOriginWindows() {
+    // This window and its same-origin frames, however deeply nested.
+    // Cross-origin frames aren't converted, so they have nothing to peek at
+    const windows = [window];
+    for (let i = 0; i < windows.length; i++) {
+      for (let j = 0; j < windows[i].frames.length; j++) {
+        const frameWindow = windows[i].frames[j];
+        try {
+          if (frameWindow.document.documentElement) {
+            windows.push(frameWindow);
+          }
+        } catch (error) {
+          // Cross-origin
+        }
+      }
+    }
+    return windows;
+  }
+
   async getKAUPrice() {
     try {
       const response = await chrome.runtime.sendMessage({
         action: "getKAUPrice",
       });
+      this.fxRates = response.fxRates || null;
+      this.metalPrices = response.metalPrices || {};
+      this.fallbackPrice = response.fallbackPrice || null;
+      if (response.kauPriceError) {
+        console.warn("Gold price refresh failed:", response.kauPriceError);
+      }
       if (response.kauPrice) {
         this.kauPrice = response.kauPrice;
         console.log("Gold price per gram loaded:", this.kauPrice);
       } else if (response.kauPriceError) {
-        console.warn("Gold price unavailable:", response.kauPriceError);
         this.showErrorIndicator();
       }
     } catch (error) {
@@ -122,6 +486,386 @@ class USDToKAUConverter {
     }
   }
 
+  buildCurrencyPricePatterns() {
+    const escape = (token) => token.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const alternatives = (list) =>
+      list.length > 0
+        ? `(?:${[...list].sort((a, b) => b.length - a.length).join("|")})`
+        : null;
+    const units = "(million|billion|trillion|thousand|hundred)";
+    // Accepts "1,234.56", "1.234,56", "1'234.56", "1 234,56" and "12,5"
+    const number =
+      "(\\d{1,3}(?:[,.' \\u00a0\\u202f]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)";
+
+    // Symbols and codes may appear before or after the amount ("€12,50",
+    // "12,50 €", "EUR 12.50"); names only after it. Dollar currencies also
+    // accept a bare "$" followed by their code ("$12.99 CAD")
+    const shapes = [
+      ({ tokens }) =>
+        `(?<![A-Za-z])${tokens}\\s*(\\d+(?:[.,]\\d+)?)\\s*${units}\\b`, // € 2,5 million
+      ({ tokens }) =>
+        `(\\d+(?:[.,]\\d+)?)\\s*${units}\\s*${tokens}(?![A-Za-z])`, // 2.5 million EUR
+      ({ tokens }) =>
+        `(?<![A-Za-z])${tokens}\\s*(\\d+(?:[.,]\\d+)?)\\s*([kmbt])\\b`, // £100k
+      ({ tokens }) => `(?<![A-Za-z])${tokens}\\s*${number}(?!\\d)`, // €1.234,56
+      ({ tokens }) => `(?<![\\d.,])${number}\\s*${tokens}(?![A-Za-z])`, // 1.234,56 €
+      ({ dollarCodes }) =>
+        dollarCodes &&
+        `\\$\\s*(\\d{1,3}(?:,\\d{3})*(?:\\.\\d{2})?|\\d+(?:\\.\\d{2})?)\\s*${dollarCodes}(?![A-Za-z])`, // $12.99 CAD
+      ({ names }) => names && `(\\d+(?:[.,]\\d+)?)\\s*${units}\\s*${names}\\b`, // 3 million yen
+      ({ names }) => names && `(?<![\\d.,])${number}\\s*${names}\\b`, // 500 euros
+    ];
+
+    const parts = (info) => ({
+      tokens: [...info.symbols, ...info.codes].map(escape),
+      dollarCodes: info.dollar ? info.codes : [],
+      names: info.names,
+    });
+    const currencyParts = Object.entries(this.currencies).map(
+      ([currency, info]) => [currency, parts(info)]
+    );
+    const merged = { tokens: [], dollarCodes: [], names: [] };
+    currencyParts.forEach(([, part]) =>
+      Object.keys(merged).forEach((key) => merged[key].push(...part[key]))
+    );
+    const toSources = (part) => ({
+      tokens: alternatives(part.tokens),
+      dollarCodes: alternatives(part.dollarCodes),
+      names: alternatives(part.names),
+    });
+
+    // Each shape is one pattern covering every currency, rather than one
+    // per currency, since every text node is run through all of them. The
+    // currency is worked out afterwards, only for text that matched
+    return shapes.map((shape) => {
+      const matchers = currencyParts
+        .map(([currency, part]) => [currency, shape(toSources(part))])
+        .filter(([, source]) => source)
+        .map(([currency, source]) => [
+          currency,
+          new RegExp(`^(?:${source})$`, "i"),
+        ]);
+      return {
+        pattern: new RegExp(shape(toSources(merged)), "gi"),
+        currency: (text) =>
+          matchers.find(([, matcher]) => matcher.test(text))?.[0] || null,
+      };
+    });
+  }
+
+  getPageDollarCurrency() {
+    // The site profile can settle the question outright
+    if (this.dollarCurrency) {
+      return { currency: this.dollarCurrency, uncertain: false };
+    }
+    if (this.pageDollarCurrency) {
+      return this.pageDollarCurrency;
+    }
+
+    // Collect hints about which dollar a bare "$" means on this page.
+    // schema.org price metadata is the strongest, then the TLD, then <html lang>
+    const signals = [];
+    const regionOf = (code) => this.dollarRegions[code?.toUpperCase()];
+
+    for (const currency of this.findSchemaPriceCurrencies()) {
+      if (this.currencies[currency]?.dollar) {
+        signals.push({ currency, weight: 3, source: "page price metadata" });
+      }
+    }
+
+    const tld = window.location.hostname.split(".").pop();
+    if (regionOf(tld)) {
+      signals.push({
+        currency: regionOf(tld),
+        weight: 2,
+        source: "site domain",
+      });
+    }
+
+    // Region is the first two-letter subtag after the language: en-CA, zh-Hant-TW
+    const lang = document.documentElement.lang || "";
+    const region = lang
+      .split(/[-_]/)
+      .slice(1)
+      .find((subtag) => /^[a-z]{2}$/i.test(subtag));
+    if (regionOf(region)) {
+      signals.push({
+        currency: regionOf(region),
+        weight: 1,
+        source: "page language",
+      });
+    }
+
+    if (signals.length === 0) {
+      // No hints at all - keep treating "$" as USD like we always have
+      this.pageDollarCurrency = { currency: "USD", uncertain: false };
+      return this.pageDollarCurrency;
+    }
+
+    const weights = {};
+    for (const signal of signals) {
+      weights[signal.currency] =
+        (weights[signal.currency] || 0) + signal.weight;
+    }
+    const [currency, weight] = Object.entries(weights).sort(
+      (a, b) => b[1] - a[1]
+    )[0];
+    const strongest = signals
+      .filter((signal) => signal.currency === currency)
+      .sort((a, b) => b.weight - a.weight)[0];
+
+    // Conflicting hints that price metadata doesn't settle leave us guessing
+    const conflicting = Object.keys(weights).length > 1;
+    this.pageDollarCurrency = {
+      currency,
+      uncertain: conflicting && weight < 3,
+      source: strongest.source,
+    };
+    console.log("Bare $ amounts resolved to:", this.pageDollarCurrency);
+    return this.pageDollarCurrency;
+  }
+
+  findSchemaPriceCurrencies() {
+    const currencies = [];
+
+    // Microdata and Open Graph product tags
+    document
+      .querySelectorAll(
+        '[itemprop="priceCurrency"], meta[property="product:price:currency"], meta[property="og:price:currency"]'
+      )
+      .forEach((el) => {
+        currencies.push((el.getAttribute("content") || el.textContent).trim());
+      });
+
+    // JSON-LD offers
+    currencies.push(...this.findJsonLdValues("priceCurrency"));
+
+    return currencies.map((currency) => currency.toUpperCase());
+  }
+
+  findJsonLdValues(property, isOwner = () => true) {
+    // String values of a JSON-LD property, which can be nested anywhere in
+    // any of the page's graphs, optionally only from matching objects
+    const values = [];
+    const collect = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(collect);
+      } else if (value && typeof value === "object") {
+        for (const [key, child] of Object.entries(value)) {
+          if (key === property && typeof child === "string" && isOwner(value)) {
+            values.push(child.trim());
+          } else {
+            collect(child);
+          }
+        }
+      }
+    };
+    document
+      .querySelectorAll('script[type="application/ld+json"]')
+      .forEach((script) => {
+        try {
+          collect(JSON.parse(script.textContent));
+        } catch (error) {
+          // Ignore malformed structured data
+        }
+      });
+    return values;
+  }
+
+  detectPublishDate() {
+    // Checked in order of reliability: article metadata, JSON-LD, then <time>
+    const candidates = [];
+    // Microdata reviews and comments mark up their own publish dates
+    const findPageElement = (selector) =>
+      [...document.querySelectorAll(selector)].find(
+        (element) =>
+          !/Review|Comment/.test(
+            element.closest("[itemscope]")?.getAttribute("itemtype") || ""
+          )
+      );
+    const metaSelectors = [
+      'meta[property="article:published_time"]',
+      'meta[name="article:published_time"]',
+      'meta[itemprop="datePublished"]',
+      'meta[name="publish-date"]',
+      'meta[name="pubdate"]',
+      'meta[name="date"]',
+      'meta[name="DC.date.issued"]',
+    ];
+    for (const selector of metaSelectors) {
+      const meta = findPageElement(selector);
+      if (meta) {
+        candidates.push(meta.getAttribute("content"));
+      }
+    }
+
+    // Reviews and comments have publish dates of their own, so only the
+    // article's counts
+    const isArticle = (value) =>
+      []
+        .concat(value["@type"] || [])
+        .some((type) => /(Article|BlogPosting|Report)$/.test(type));
+    candidates.push(...this.findJsonLdValues("datePublished", isArticle));
+
+    // Each in turn, since one combined query would return whichever comes
+    // first in the page. Any other <time> could be a review or comment date
+    const timeSelectors = [
+      'time[itemprop="datePublished"]',
+      "time[pubdate]",
+      "article time[datetime]",
+    ];
+    for (const selector of timeSelectors) {
+      const time = findPageElement(selector);
+      if (time) {
+        candidates.push(time.getAttribute("datetime") || time.textContent);
+      }
+    }
+
+    for (const candidate of candidates) {
+      const date = new Date(candidate);
+      if (candidate && !isNaN(date) && date <= new Date()) {
+        return date;
+      }
+    }
+    return null;
+  }
+
+  async loadSkipContexts() {
+    try {
+      const result = await chrome.storage.local.get(["skipContexts"]);
+      this.skipContexts = { ...this.skipContexts, ...result.skipContexts };
+      this.skipSelector = this.buildSkipSelector();
+    } catch (error) {
+      console.error("Error loading skipped contexts:", error);
+    }
+  }
+
+  async loadLazyConversion() {
+    try {
+      const result = await chrome.storage.local.get(["lazyConversion"]);
+      this.lazyConversion = result.lazyConversion === true;
+    } catch (error) {
+      console.error("Error loading lazy conversion setting:", error);
+    }
+  }
+
+  buildSkipSelector() {
+    const selectors = Object.entries(this.skipContextSelectors)
+      .filter(([context]) => this.skipContexts[context])
+      .map(([, selector]) => selector);
+    return selectors.length > 0 ? selectors.join(", ") : null;
+  }
+
+  async loadStalenessSettings() {
+    try {
+      const result = await chrome.storage.local.get([
+        "stalePolicy",
+        "stalePriceHours",
+      ]);
+      this.stalePolicy = result.stalePolicy || "last-quote";
+      this.stalePriceHours = result.stalePriceHours || 6;
+      console.log(
+        `Staleness policy: ${this.stalePolicy} after ${this.stalePriceHours}h`
+      );
+    } catch (error) {
+      console.error("Error loading staleness settings:", error);
+    }
+  }
+
+  isStalePrice(priceData) {
+    return (
+      priceData.source === "fallback" ||
+      Date.now() - priceData.timestamp > this.stalePriceHours * 60 * 60 * 1000
+    );
+  }
+
+  scheduleStaleCheck() {
+    // Re-apply the staleness policy the moment the current quote goes stale,
+    // since a long-lived tab may not hear about a failed refresh
+    clearTimeout(this.staleTimeout);
+    const quote =
+      this.targetMetal === "XAU"
+        ? this.kauPrice
+        : this.metalPrices?.[this.targetMetal];
+    if (!quote || this.isStalePrice(quote)) {
+      return;
+    }
+    const staleAt = quote.timestamp + this.stalePriceHours * 60 * 60 * 1000;
+    this.staleTimeout = setTimeout(
+      () => this.applyPriceState(),
+      Math.min(staleAt - Date.now() + 1000, 2 ** 31 - 1)
+    );
+  }
+
+  applyPriceState() {
+    // Redraw for the current price, or show the original prices when the
+    // policy leaves nothing to price in
+    this.scheduleStaleCheck();
+    if (!this.isEnabled) {
+      return;
+    }
+    if (this.getMetalPrice()) {
+      this.refreshBadges();
+      this.processPage();
+    } else {
+      this.removeConversions();
+    }
+  }
+
+  async loadHistoricalSettings() {
+    try {
+      const result = await chrome.storage.local.get([
+        "historicalMode",
+        "historicalCompare",
+      ]);
+      this.historicalMode = result.historicalMode === true; // default to false
+      this.historicalCompare = result.historicalCompare === true;
+      if (this.historicalMode) {
+        await this.loadHistoricalPrice();
+      }
+    } catch (error) {
+      console.error("Error loading historical settings:", error);
+      this.historicalMode = false;
+    }
+  }
+
+  async loadHistoricalPrice() {
+    const publishDate = this.detectPublishDate();
+    if (!publishDate) {
+      console.log("No publish date found - using today's gold price");
+      this.historicalPrice = null;
+      return;
+    }
+
+    const month = publishDate.toISOString().slice(0, 7);
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getHistoricalPrice",
+        month,
+      });
+      // Recent pages fall outside the bundled data and use today's price
+      this.historicalPrice = response?.historicalPrice || null;
+      console.log(`Gold price for ${month}:`, this.historicalPrice);
+    } catch (error) {
+      console.error("Error getting historical gold price:", error);
+      this.historicalPrice = null;
+    }
+  }
+
+  getHistoricalPriceFor(currency) {
+    // The bundled history is XAU/USD only, so it applies to USD amounts
+    // priced in gold
+    if (
+      this.historicalMode &&
+      this.historicalPrice &&
+      this.targetMetal === "XAU" &&
+      currency === "USD"
+    ) {
+      return this.historicalPrice;
+    }
+    return null;
+  }
+
   async loadEnabledState() {
     try {
       const result = await chrome.storage.local.get(["enabled"]);
@@ -135,16 +879,108 @@ class USDToKAUConverter {
 
   async loadExcludedUrls() {
     try {
-      const result = await chrome.storage.local.get(["excludedUrls"]);
+      const result = await chrome.storage.local.get([
+        "excludedUrls",
+        "allowedUrls",
+        "urlListMode",
+      ]);
       this.excludedUrls = result.excludedUrls || [];
-      console.log("Excluded URLs loaded:", this.excludedUrls);
+      this.allowedUrls = result.allowedUrls || [];
+      this.urlListMode = result.urlListMode || "exclude";
+      console.log(
+        `URL lists loaded (${this.urlListMode} mode):`,
+        this.excludedUrls,
+        this.allowedUrls
+      );
     } catch (error) {
       console.error("Error loading excluded URLs:", error);
       this.excludedUrls = [];
     }
   }
 
+  async loadDisplayFormat() {
+    try {
+      const result = await chrome.storage.local.get(["displayFormat"]);
+      this.globalSettings.displayFormat = result.displayFormat || "auto";
+      console.log("Display format loaded:", this.globalSettings.displayFormat);
+    } catch (error) {
+      console.error("Error loading display format:", error);
+      this.globalSettings.displayFormat = "auto";
+    }
+  }
+
+  async loadTargetMetal() {
+    try {
+      const result = await chrome.storage.local.get(["targetMetal"]);
+      this.globalSettings.targetMetal =
+        result.targetMetal in this.metals ? result.targetMetal : "XAU";
+      console.log("Target metal loaded:", this.globalSettings.targetMetal);
+    } catch (error) {
+      console.error("Error loading target metal:", error);
+      this.globalSettings.targetMetal = "XAU";
+    }
+  }
+
+  combineSelectors(selectors = []) {
+    // One selector list for closest(); invalid entries would make the whole
+    // list throw, so they are dropped
+    const valid = selectors.filter((selector) => {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+      } catch (error) {
+        console.warn("Ignoring invalid excluded selector:", selector);
+        return false;
+      }
+    });
+    return valid.length > 0 ? valid.join(", ") : null;
+  }
+
+  async loadSiteProfiles() {
+    try {
+      const result = await chrome.storage.local.get(["siteProfiles"]);
+      this.siteProfiles = result.siteProfiles || [];
+    } catch (error) {
+      console.error("Error loading site profiles:", error);
+      this.siteProfiles = [];
+    }
+    this.resolveSiteSettings();
+  }
+
+  resolveSiteSettings() {
+    // Settings the site profile leaves unset fall back to the global ones
+    this.siteProfile = UrlRules.findSiteProfile(
+      this.currentUrl,
+      this.siteProfiles
+    );
+    const profile = this.siteProfile || {};
+    this.displayFormat =
+      profile.displayFormat || this.globalSettings.displayFormat;
+    this.targetMetal =
+      profile.targetMetal in this.metals
+        ? profile.targetMetal
+        : this.globalSettings.targetMetal;
+    this.dollarCurrency = this.currencies[profile.dollarCurrency]?.dollar
+      ? profile.dollarCurrency
+      : null;
+    this.displayStyle = profile.displayStyle || "badge";
+    this.isPaused = profile.paused === true;
+    this.excludedSelector = this.combineSelectors(profile.excludedSelectors);
+    console.log(
+      "Site profile:",
+      this.siteProfile?.pattern || "none",
+      this.displayFormat,
+      this.targetMetal,
+      this.displayStyle
+    );
+  }
+
   showErrorIndicator() {
+    // Once per tab, not once per frame
+    if (window !== window.top) {
+      return;
+    }
+
     // Add a small indicator that conversion is unavailable
     const indicator = document.createElement("div");
     indicator.id = "usd-to-kau-error";
@@ -173,18 +1009,7 @@ class USDToKAUConverter {
 
   showExclusionIndicator() {
     // Check if this is a hardcoded exclusion
-    const currentUrl = new URL(this.currentUrl);
-    const hostname = currentUrl.hostname;
-
-    let isHardcodedExcluded = false;
-    for (const excludedUrl of this.hardcodedExcludedUrls) {
-      if (hostname === excludedUrl || hostname.endsWith(`.${excludedUrl}`)) {
-        isHardcodedExcluded = true;
-        break;
-      }
-    }
-
-    if (isHardcodedExcluded) {
+    if (UrlRules.isHardcodedExcluded(this.currentUrl)) {
       console.log("Sending setIcon message for hardcoded excluded state");
       chrome.runtime.sendMessage({
         action: "setIcon",
@@ -200,94 +1025,16 @@ class USDToKAUConverter {
   }
 
   isUrlExcluded() {
-    const currentUrl = new URL(this.currentUrl);
-    const hostname = currentUrl.hostname;
-    const fullUrl = this.currentUrl;
-
-    console.log("Checking URL exclusion for:", fullUrl);
-    console.log("Current excluded URLs:", this.excludedUrls);
-
-    // Check hardcoded excluded URLs first
-    for (const excludedUrl of this.hardcodedExcludedUrls) {
-      if (hostname === excludedUrl || hostname.endsWith(`.${excludedUrl}`)) {
-        console.log("URL is hardcoded excluded:", excludedUrl);
-        return true;
-      }
-    }
-
-    if (!this.excludedUrls || this.excludedUrls.length === 0) {
-      console.log("No excluded URLs configured");
-      return false;
+    if (this.isPaused) {
+      console.log("Conversion paused by site profile:", this.siteProfile);
+      return true;
     }
 
-    const isExcluded = this.excludedUrls.some((pattern) => {
-      const matches = this.matchesUrlPattern(hostname, fullUrl, pattern);
-      if (matches) {
-        console.log("URL matches excluded pattern:", pattern);
-      }
-      return matches;
-    });
-
-    console.log("URL exclusion result:", isExcluded);
-    return isExcluded;
-  }
-
-  matchesUrlPattern(hostname, fullUrl, pattern) {
-    // Handle URL patterns with paths (e.g., "x.com/search")
-    if (pattern.includes("/")) {
-      try {
-        // Normalize the pattern URL
-        const patternUrl = pattern.startsWith("http")
-          ? pattern
-          : `https://${pattern}`;
-        const patternObj = new URL(patternUrl);
-
-        // Check if hostname matches
-        if (hostname !== patternObj.hostname) {
-          return false;
-        }
-
-        // Check if path matches (supports wildcards in path)
-        const currentPath = new URL(fullUrl).pathname;
-        const patternPath = patternObj.pathname;
-
-        if (patternPath.endsWith("*")) {
-          // Wildcard path matching
-          const pathPrefix = patternPath.slice(0, -1);
-          return currentPath.startsWith(pathPrefix);
-        } else {
-          // Exact path matching
-          return currentPath === patternPath;
-        }
-      } catch (error) {
-        // If URL parsing fails, fall back to hostname matching
-        return hostname === pattern;
-      }
-    }
-
-    // Handle wildcard domain patterns
-    if (pattern.startsWith("*.")) {
-      const domain = pattern.substring(2);
-      return hostname === domain || hostname.endsWith("." + domain);
-    }
-
-    if (pattern.endsWith("*")) {
-      const prefix = pattern.slice(0, -1);
-      return hostname.startsWith(prefix);
-    }
-
-    // Handle localhost with port
-    if (pattern.startsWith("localhost")) {
-      return hostname.startsWith("localhost");
-    }
-
-    // Handle 127.0.0.1 with port
-    if (pattern.startsWith("127.0.0.1")) {
-      return hostname.startsWith("127.0.0.1");
-    }
-
-    // Exact hostname match or subdomain match
-    return hostname === pattern || hostname.endsWith(`.${pattern}`);
+    // Hardcoded sites, the exclusion list, or a site missing from the
+    // allowlist in allowlist mode
+    const blockReason = UrlRules.getBlockReason(this.currentUrl, this);
+    console.log("URL exclusion result:", this.currentUrl, blockReason);
+    return blockReason !== null;
   }
 
   checkUrlExclusion() {
@@ -307,30 +1054,136 @@ class USDToKAUConverter {
         iconType: "normal",
       });
 
-      if (this.isEnabled && this.kauPrice) {
+      if (this.isEnabled && this.getMetalPrice()) {
         console.log("Processing page for conversions");
         this.processPage();
       } else {
         console.log(
           "Not processing page - enabled:",
           this.isEnabled,
-          "kauPrice:",
-          !!this.kauPrice
+          "price:",
+          !!this.getMetalPrice()
         );
       }
     }
   }
 
   setupMutationObserver() {
+    // Only the nodes a mutation added or changed are converted, in idle
+    // time, rather than rescanning the whole page
     this.observer = new MutationObserver((mutations) => {
-      // Debounce to avoid excessive processing
-      clearTimeout(this.debounceTimeout);
-      this.debounceTimeout = setTimeout(() => {
-        this.processPage();
-      }, 500);
+      this.queueMutations(mutations);
     });
 
-    this.observer.observe(document.body, {
+    // Including shadow roots the first pass found before this existed
+    this.observeRoot(document.body);
+    this.shadowRoots.forEach((shadowRoot) => this.observeRoot(shadowRoot));
+
+    // shadow-hook.js announces shadow roots attached after their host was
+    // inserted, which no mutation reports. The event is retargeted to the
+    // outermost host, whose walk reaches any nested roots. It is caught on
+    // its way down from the window and stopped there, so the page's own
+    // listeners never see it
+    window.addEventListener(
+      "kau-shadow-attached",
+      (e) => {
+        e.stopImmediatePropagation();
+        this.pendingNodes.add(e.target);
+        this.scheduleQueue();
+      },
+      true
+    );
+  }
+
+  queueMutations(mutations) {
+    for (const mutation of mutations) {
+      // Re-rendered badges change inside themselves; nothing to convert
+      if (this.isInBadge(mutation.target)) {
+        continue;
+      }
+      if (mutation.type === "characterData") {
+        // Edited text may hold a new price even if it was checked before
+        this.processedElements.delete(mutation.target);
+        this.pendingNodes.add(mutation.target);
+      } else {
+        mutation.addedNodes.forEach((node) => {
+          if (!this.isInBadge(node)) {
+            this.pendingNodes.add(node);
+          }
+        });
+      }
+    }
+    if (this.pendingNodes.size > 0) {
+      this.scheduleQueue();
+    }
+  }
+
+  isInBadge(node) {
+    const element =
+      node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return Boolean(element?.closest(".usd-to-kau-converted"));
+  }
+
+  scheduleQueue() {
+    if (this.idleCallback === null) {
+      this.idleCallback = requestIdleCallback(
+        (deadline) => this.processQueue(deadline),
+        { timeout: 1000 }
+      );
+    }
+  }
+
+  processQueue(deadline) {
+    this.idleCallback = null;
+    if (!this.isEnabled || !this.getMetalPrice() || this.isUrlExcluded()) {
+      this.pendingNodes.clear();
+      return;
+    }
+
+    this.runUnobserved(() => {
+      const start = performance.now();
+      for (const node of this.pendingNodes) {
+        // A callback forced by its timeout has no idle time left, so it
+        // gets a fixed budget instead
+        const outOfTime = deadline.didTimeout
+          ? performance.now() - start > this.chunkBudgetMs
+          : deadline.timeRemaining() < 1;
+        if (outOfTime) {
+          break;
+        }
+        this.pendingNodes.delete(node);
+        this.processNode(node);
+      }
+    });
+
+    if (this.pendingNodes.size > 0) {
+      this.scheduleQueue();
+    }
+  }
+
+  processNode(node) {
+    if (!node.isConnected) {
+      return;
+    }
+    // A text node's parent also covers prices split across its siblings
+    const root = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    if (root?.nodeType === Node.ELEMENT_NODE) {
+      this.processRoot(root);
+    }
+  }
+
+  runUnobserved(callback) {
+    // Queue the page's own pending mutations first, make our changes, then
+    // drop the records those changes produced so badges aren't re-queued
+    if (this.observer) {
+      this.queueMutations(this.observer.takeRecords());
+    }
+    callback();
+    this.observer?.takeRecords();
+  }
+
+  observeRoot(root) {
+    this.observer?.observe(root, {
       childList: true,
       subtree: true,
       characterData: true,
@@ -338,40 +1191,223 @@ class USDToKAUConverter {
   }
 
   processPage() {
-    if (!this.kauPrice || !this.isEnabled) {
+    if (!this.getMetalPrice() || !this.isEnabled) {
       console.log(
         "Skipping page processing - enabled:",
         this.isEnabled,
-        "kauPrice:",
-        !!this.kauPrice
+        "price:",
+        !!this.getMetalPrice()
+      );
+      return;
+    }
+
+    // Check if URL is excluded before processing
+    if (this.isUrlExcluded()) {
+      console.log("Skipping page processing - URL is excluded");
+      return;
+    }
+
+    console.log("Processing page for conversions");
+    if (this.lazyConversion) {
+      this.startLazyConversion();
+    } else {
+      this.stopLazyConversion();
+      this.runUnobserved(() => this.processRoot(document.body));
+    }
+  }
+
+  startLazyConversion() {
+    // Converting a huge page in one pass blocks the main thread, so regions
+    // are converted as they near the viewport and the rest in idle time
+    this.stopLazyConversion();
+    this.lazyObserver = new IntersectionObserver(
+      (entries) => this.convertVisibleBlocks(entries),
+      { rootMargin: "100% 0px" }
+    );
+    this.findLazyBlocks(document.body).forEach((block) => {
+      this.lazyBlocks.add(block);
+      this.lazyObserver.observe(block);
+    });
+    this.lazyTotal = this.lazyBlocks.size;
+    console.log(`Lazy conversion of ${this.lazyTotal} regions`);
+    this.scheduleLazyBlocks();
+  }
+
+  stopLazyConversion() {
+    this.lazyObserver?.disconnect();
+    this.lazyObserver = null;
+    if (this.lazyIdleCallback !== null) {
+      cancelIdleCallback(this.lazyIdleCallback);
+      this.lazyIdleCallback = null;
+    }
+    this.lazyBlocks.clear();
+    this.lazyTotal = 0;
+  }
+
+  findLazyBlocks(root) {
+    // Split the page into regions small enough to convert in one go. A
+    // container with loose text of its own can't be split any further
+    const blocks = [];
+    const visit = (element) => {
+      if (element.tagName === "SCRIPT" || element.tagName === "STYLE") {
+        return;
+      }
+      const hasOwnText = [...element.childNodes].some(
+        (node) => node.nodeType === Node.TEXT_NODE && node.data.trim()
       );
+      if (
+        hasOwnText ||
+        element.children.length === 0 ||
+        element.textContent.length <= this.lazyBlockChars
+      ) {
+        blocks.push(element);
+      } else {
+        [...element.children].forEach(visit);
+      }
+    };
+    visit(root);
+    return blocks;
+  }
+
+  convertVisibleBlocks(entries) {
+    const visible = entries
+      .filter((entry) => entry.isIntersecting)
+      .map((entry) => entry.target);
+    if (visible.length > 0) {
+      this.runUnobserved(() => {
+        visible.forEach((block) => this.convertLazyBlock(block));
+      });
+    }
+  }
+
+  scheduleLazyBlocks() {
+    // Off-screen regions wait for idle time with no timeout, so they never
+    // compete with the page's own work
+    if (this.lazyIdleCallback !== null || this.lazyBlocks.size === 0) {
       return;
     }
+    this.lazyIdleCallback = requestIdleCallback((deadline) => {
+      this.lazyIdleCallback = null;
+      this.runUnobserved(() => {
+        for (const block of this.lazyBlocks) {
+          if (deadline.timeRemaining() < 1) {
+            break;
+          }
+          this.convertLazyBlock(block);
+        }
+      });
+      this.scheduleLazyBlocks();
+    });
+  }
+
+  convertLazyBlock(block) {
+    if (!this.lazyBlocks.delete(block)) {
+      return;
+    }
+    this.lazyObserver.unobserve(block);
+    if (block.isConnected) {
+      this.processRoot(block);
+    }
+    if (this.lazyBlocks.size === 0) {
+      console.log("Lazy conversion finished");
+      this.lazyObserver.disconnect();
+    }
+  }
+
+  getConversionProgress() {
+    // For the popup: badges on the page, and how many lazy regions are left
+    return {
+      converted: this.getBadges().length,
+      remaining: this.lazyBlocks.size,
+      total: this.lazyTotal,
+    };
+  }
+
+  processRoot(root) {
+    // Prices split across elements first, so their pieces aren't converted
+    // on their own (e.g. "$24" without the cents)
+    this.processSplitPrices(root);
+    // Process all text nodes
+    this.processTextNodes(root);
+
+    // Tree walkers stop at shadow roots, so visit each open one separately
+    for (const shadowRoot of this.findShadowRoots(root)) {
+      if (!this.shadowRoots.has(shadowRoot)) {
+        this.shadowRoots.add(shadowRoot);
+        this.observeRoot(shadowRoot);
+        this.addShadowStyles(shadowRoot);
+      }
+      this.processRoot(shadowRoot);
+    }
+  }
+
+  findShadowRoots(root) {
+    // The walker starts below the root, so check the root's own shadow too
+    const shadowRoots = root.shadowRoot ? [root.shadowRoot] : [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    let element;
+    while ((element = walker.nextNode())) {
+      if (element.shadowRoot) {
+        shadowRoots.push(element.shadowRoot);
+      }
+    }
+    return shadowRoots;
+  }
 
-    // Check if URL is excluded before processing
-    if (this.isUrlExcluded()) {
-      console.log("Skipping page processing - URL is excluded");
-      return;
+  async addShadowStyles(shadowRoot) {
+    // Page styles don't reach into shadow roots, so each gets its own copy
+    // of the badge styles. Peeking is flagged on <html>, which the copy can
+    // only see through :host-context(). The background reads styles.css,
+    // which pages can't fetch
+    try {
+      if (!this.shadowStyles) {
+        this.shadowStyles = chrome.runtime
+          .sendMessage({ action: "getShadowStyles" })
+          .then(({ css }) =>
+            css.replace(/\.kau-peek /g, ":host-context(.kau-peek) ")
+          );
+      }
+      const style = document.createElement("style");
+      style.textContent = await this.shadowStyles;
+      shadowRoot.appendChild(style);
+    } catch (error) {
+      console.error("Error adding styles to shadow root:", error);
     }
+  }
 
-    console.log("Processing page for conversions");
-    // Process all text nodes
-    this.processTextNodes(document.body);
+  getBadges() {
+    // Badges in the document and in every open shadow root still on the page
+    const badges = [...document.querySelectorAll(".usd-to-kau-converted")];
+    for (const shadowRoot of this.shadowRoots) {
+      if (!shadowRoot.host.isConnected) {
+        this.shadowRoots.delete(shadowRoot);
+        continue;
+      }
+      badges.push(...shadowRoot.querySelectorAll(".usd-to-kau-converted"));
+    }
+    return badges;
+  }
+
+  shouldSkipTextNode(node) {
+    // Skip if already processed, in script/style tags, in a context the
+    // skip policy covers or inside an element the site profile excludes
+    return (
+      this.processedElements.has(node) ||
+      node.parentElement?.tagName === "SCRIPT" ||
+      node.parentElement?.tagName === "STYLE" ||
+      (this.skipContexts.editable && document.designMode === "on") ||
+      (this.skipSelector && node.parentElement?.closest(this.skipSelector)) ||
+      (this.excludedSelector &&
+        node.parentElement?.closest(this.excludedSelector))
+    );
   }
 
   processTextNodes(node) {
     const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT, {
-      acceptNode: (node) => {
-        // Skip if already processed or in script/style tags
-        if (
-          this.processedElements.has(node) ||
-          node.parentElement?.tagName === "SCRIPT" ||
-          node.parentElement?.tagName === "STYLE"
-        ) {
-          return NodeFilter.FILTER_REJECT;
-        }
-        return NodeFilter.FILTER_ACCEPT;
-      },
+      acceptNode: (node) =>
+        this.shouldSkipTextNode(node)
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT,
     });
 
     const textNodes = [];
@@ -385,67 +1421,54 @@ class USDToKAUConverter {
     });
   }
 
-  processTextNode(textNode) {
-    if (this.processedElements.has(textNode)) {
-      return;
-    }
-
-    const originalText = textNode.nodeValue;
-    const originalPrices = [];
+  findPrices(text) {
+    // Every convertible amount in the text, without overlaps, resolved to a
+    // currency. Shared by the page conversion and the context menu
     const processedRanges = []; // Track which parts of text have been processed
-    const priceReplacements = []; // Store price replacements with their positions
-
-    // No exclusion patterns - process all monetary amounts
+    const prices = []; // Store prices with their positions
 
     // Collect all matches from all patterns first
     const allMatches = [];
-    for (const pattern of this.pricePatterns) {
-      const matches = [...originalText.matchAll(pattern)];
+    // Every pattern needs a digit, and most text has none
+    if (!/\d/.test(text)) {
+      return prices;
+    }
+    for (const { pattern, currency: patternCurrency } of this.pricePatterns) {
+      const matches = [...text.matchAll(pattern)];
       for (const match of matches) {
-        let usdAmount = 0;
+        // Patterns covering several currencies name the one that matched
+        const currency =
+          typeof patternCurrency === "function"
+            ? patternCurrency(match[0])
+            : patternCurrency;
+        if (!currency) {
+          continue;
+        }
+        let amount = 0;
         let multiplier = null;
 
         // Check if this is a written amount pattern (has second capture group)
         if (match[2] && typeof match[2] === "string") {
-          const unit = match[2].toLowerCase();
-          switch (unit) {
-            case "hundred":
-              multiplier = 100;
-              break;
-            case "thousand":
-              multiplier = 1000;
-              break;
-            case "million":
-              multiplier = 1000000;
-              break;
-            case "billion":
-              multiplier = 1000000000;
-              break;
-            case "trillion":
-              multiplier = 1000000000000;
-              break;
-            case "k":
-              multiplier = 1000;
-              break;
-            case "m":
-              multiplier = 1000000;
-              break;
-            case "b":
-              multiplier = 1000000000;
-              break;
-            case "t":
-              multiplier = 1000000000000;
-              break;
-          }
+          multiplier = this.getMultiplier(match[2]);
         }
 
-        usdAmount = this.parseUSDAmount(match[1], multiplier);
-
-        if (usdAmount > 0) {
+        // Only the "$"-style USD patterns are always US-formatted; a code or
+        // symbol can come with any locale's separators ("USD 1.234,56")
+        amount =
+          patternCurrency === "USD"
+            ? this.parseUSDAmount(match[1], multiplier)
+            : this.parseUSDAmount(
+                this.normalizeAmountString(match[1], multiplier !== null),
+                multiplier
+              );
+
+        if (amount > 0 && !this.isDollarVariable(text, match)) {
           allMatches.push({
             match,
-            usdAmount,
+            amount,
+            currency,
             originalPrice: match[0],
+            multiplier,
             start: match.index,
             end: match.index + match[0].length,
             pattern: pattern.toString(),
@@ -465,7 +1488,13 @@ class USDToKAUConverter {
 
     // Process matches, avoiding overlaps
     for (const matchData of allMatches) {
-      const { usdAmount, originalPrice, start, end } = matchData;
+      const { amount, originalPrice, multiplier, start, end } = matchData;
+
+      // Settle which dollar a bare "$" means before converting
+      const { currency, uncertain, source } =
+        matchData.currency === "$"
+          ? this.getPageDollarCurrency()
+          : { currency: matchData.currency, uncertain: false };
 
       // Check if this range overlaps with any already processed range
       const hasOverlap = processedRanges.some(
@@ -473,31 +1502,176 @@ class USDToKAUConverter {
       );
 
       if (!hasOverlap) {
-        const kauAmount = this.convertToKAU(usdAmount);
-        const kauText = this.formatKAUAmount(kauAmount);
-
-        // Store original price for tooltip
-        originalPrices.push(originalPrice);
+        if (this.convertToGrams(amount, currency) <= 0) {
+          // No exchange rate or metal price yet - leave it untouched
+          continue;
+        }
 
         // Mark this range as processed
         processedRanges.push({ start, end });
 
-        // Store the replacement with its position
-        priceReplacements.push({
+        // Store the price with its position
+        prices.push({
           originalPrice,
-          kauText,
+          amount,
+          multiplier,
+          currency,
+          uncertain,
+          source,
           start,
           end,
         });
       }
     }
 
+    return this.extendPrices(text, prices);
+  }
+
+  getMultiplier(unit) {
+    // Scale of a written or abbreviated amount ("million", "k"), or null
+    switch (unit.toLowerCase()) {
+      case "hundred":
+        return 100;
+      case "thousand":
+        return 1000;
+      case "million":
+        return 1000000;
+      case "billion":
+        return 1000000000;
+      case "trillion":
+        return 1000000000000;
+      case "k":
+        return 1000;
+      case "m":
+        return 1000000;
+      case "b":
+        return 1000000000;
+      case "t":
+        return 1000000000000;
+    }
+    return null;
+  }
+
+  extendPrices(text, prices) {
+    // Widen matched prices to what surrounds them: "$10–$20" and "$10-20"
+    // become one range, "-$5" and a standalone "($1,200)" are negative, and
+    // a rate suffix such as "/mo" is kept
+    const dash = "\\s*[-–—]\\s*";
+    const bareNumber = "((?:\\d{1,3}(?:[,.]\\d{3})+|\\d+)(?:[.,]\\d+)?)";
+    // A scale on the upper end covers both ends: "$5-10 million". Without
+    // one, only punctuation or the end of the text may follow, so "$5 - 10
+    // days" isn't read as a range
+    const scale =
+      "\\s*(million|billion|trillion|thousand|hundred)\\b|([kmbt])\\b";
+    const rangeTo = new RegExp(
+      `^${dash}${bareNumber}(?:${scale}|(?![\\w%]|[.,]\\d)(?=\\s*(?:[^\\w\\s%]|$)))`,
+      "i"
+    );
+    const rangeFrom = new RegExp(`(?<![\\w.,])${bareNumber}${dash}$`);
+    const parseBare = (value) =>
+      this.parseUSDAmount(this.normalizeAmountString(value), null);
+
+    const extended = [];
+    for (let i = 0; i < prices.length; i++) {
+      const price = { ...prices[i] };
+      const next = prices[i + 1];
+      const previousEnd = extended.length > 0 ? extended.at(-1).end : 0;
+
+      // Both ends written out: "$10 – $20", "€10 to €20"
+      if (
+        next &&
+        next.currency === price.currency &&
+        next.amount > price.amount &&
+        /^\s*(?:[-–—]|to)\s*$/i.test(text.slice(price.end, next.start))
+      ) {
+        price.amountMax = next.amount;
+        price.end = next.end;
+        i++;
+      } else if (!/^\d/.test(price.originalPrice)) {
+        // Currency before the amount, upper end bare: "$10-20", "$5-10 million"
+        // or "$1.5M-2", where a scale on either end applies to both
+        const match = text.slice(price.end).match(rangeTo);
+        if (match) {
+          const scaleWord = match[2] || match[3];
+          const multiplier = scaleWord
+            ? this.getMultiplier(scaleWord)
+            : price.multiplier || 1;
+          const lower =
+            scaleWord && !price.multiplier
+              ? price.amount * multiplier
+              : price.amount;
+          const upper = parseBare(match[1]) * multiplier;
+          if (
+            upper > lower &&
+            price.end + match[0].length <= (next ? next.start : text.length)
+          ) {
+            price.amount = lower;
+            price.amountMax = upper;
+            price.end += match[0].length;
+          } else if (scaleWord) {
+            // Converting "$500" alone would misstate "$500-1 million"
+            continue;
+          }
+        }
+      } else {
+        // Currency after the amount, lower end bare: "10-20 €", or
+        // "2-3 million dollars" with the scale on both
+        const match = text.slice(previousEnd, price.start).match(rangeFrom);
+        const lower = match ? parseBare(match[1]) * (price.multiplier || 1) : 0;
+        if (lower > 0 && lower < price.amount) {
+          price.amountMax = price.amount;
+          price.amount = lower;
+          price.start -= match[0].length;
+        }
+      }
+
+      // A lone sign, or parentheses around an amount standing on its own
+      // (a table cell or line), as in accounts. "Case ($5)" stays positive
+      const before = text.slice(0, price.start);
+      const after = text.slice(price.end);
+      if (!price.amountMax && price.start > previousEnd) {
+        if (
+          /(?:^|[\t\n])[^\S\t\n]*\($/.test(before) &&
+          /^\)[^\S\t\n]*(?:$|[\t\n])/.test(after)
+        ) {
+          price.negative = true;
+          price.start--;
+          price.end++;
+        } else if (/(?:^|[^\w$.,])[-−]$/.test(before)) {
+          price.negative = true;
+          price.start--;
+        }
+      }
+
+      const rate = text
+        .slice(price.end)
+        .match(/^\s*\/\s*(mo|month|yr|year|hr|hour|lb|each|ea)\b/i);
+      if (rate) {
+        price.rate = this.rateSuffixes[rate[1].toLowerCase()];
+        price.end += rate[0].length;
+      }
+
+      price.originalPrice = text.slice(price.start, price.end);
+      extended.push(price);
+    }
+    return extended;
+  }
+
+  processTextNode(textNode) {
+    if (this.processedElements.has(textNode)) {
+      return;
+    }
+
+    const originalText = textNode.nodeValue;
+    const priceReplacements = this.findPrices(originalText);
+
     if (priceReplacements.length > 0) {
       // Sort replacements by position (reverse order to avoid index shifting)
       priceReplacements.sort((a, b) => b.start - a.start);
 
       // Create a document fragment to hold all the new elements
       const fragment = document.createDocumentFragment();
+      const sources = new Map();
       let currentIndex = originalText.length;
 
       // Process replacements from end to beginning
@@ -517,25 +1691,11 @@ class USDToKAUConverter {
         }
 
         // Create wrapper element for this specific price
-        const wrapper = document.createElement("span");
-        wrapper.className = "usd-to-kau-converted";
-
-        // Create icon element
-        const icon = document.createElement("img");
-        icon.src = chrome.runtime.getURL("KAU_iconticker.png");
-        icon.className = "kau-icon";
-        icon.alt = "KAU";
-
-        // Create text span with KAU amount
-        const textSpan = document.createElement("span");
-        textSpan.textContent = replacement.kauText;
-
-        // Add icon and text to wrapper
-        wrapper.appendChild(icon);
-        wrapper.appendChild(textSpan);
-
-        // Set tooltip with original USD price
-        wrapper.title = `${replacement.originalPrice}`;
+        const wrapper = this.createBadge(replacement);
+        sources.set(
+          wrapper,
+          originalText.substring(replacement.start, replacement.end)
+        );
 
         // Add wrapper to fragment
         fragment.insertBefore(wrapper, fragment.firstChild);
@@ -555,16 +1715,218 @@ class USDToKAUConverter {
       }
 
       // Replace the text node with the fragment
+      const nodes = [...fragment.childNodes];
       textNode.parentNode.replaceChild(fragment, textNode);
+      this.recordConversion([textNode], nodes, sources);
 
-      // Mark all new elements as processed
-      const allElements = fragment.querySelectorAll("*");
-      allElements.forEach((el) => this.processedElements.add(el));
+      // The text around the badges has already been searched
+      nodes
+        .filter((node) => node.nodeType === Node.TEXT_NODE)
+        .forEach((node) => this.processedElements.add(node));
     } else {
       this.processedElements.add(textNode);
     }
   }
 
+  recordConversion(replaced, nodes, sources) {
+    // Keep what a conversion took out of the page, with the text it had, so
+    // removing the badges puts back the same nodes rather than copies
+    const conversion = {
+      replaced,
+      values: replaced.map((node) => node.nodeValue),
+      nodes,
+      sources,
+    };
+    sources.forEach((source, badge) => this.conversions.set(badge, conversion));
+  }
+
+  restoreConversion(badge) {
+    const conversion = this.conversions.get(badge);
+    if (!conversion) {
+      // Not created by this script (e.g. the page cloned a badge), so only
+      // its stored text is known
+      badge.replaceWith(badge.dataset.originalPrice || badge.title);
+      return;
+    }
+
+    const { replaced, values, nodes, sources } = conversion;
+    sources.forEach((source, sourceBadge) =>
+      this.conversions.delete(sourceBadge)
+    );
+    replaced.forEach((node, i) => {
+      if (values[i] !== null) {
+        node.nodeValue = values[i];
+      }
+    });
+
+    // Everything still where it was inserted: swap the original back in
+    // whole. A text node split around several badges is restored once
+    const [first] = nodes;
+    const intact = nodes.every(
+      (node, i) =>
+        node.parentNode === first.parentNode &&
+        (i === 0 || node.previousSibling === nodes[i - 1])
+    );
+    if (intact && first.parentNode) {
+      first.before(...replaced);
+      nodes.forEach((node) => node.remove());
+      return;
+    }
+
+    // The page has since moved or removed some of the pieces, so each badge
+    // left on it gets its exact source text back instead
+    sources.forEach((source, sourceBadge) => {
+      if (sourceBadge.parentNode) {
+        sourceBadge.replaceWith(source);
+      }
+    });
+  }
+
+  isDollarVariable(text, match) {
+    // "$1" in "\$1", "{$1}", "$$1" or "$1abc" is a shell or template variable,
+    // or a regex backreference, not a price. Symbols such as "US$" and "R$"
+    // have their own patterns, so a letter before a bare "$" is safe to reject
+    if (!match[0].startsWith("$")) {
+      return false;
+    }
+    const before = text[match.index - 1] || "";
+    const after = text[match.index + match[0].length] || "";
+    return /[\w$\\{]/.test(before) || /[A-Za-z_{]/.test(after);
+  }
+
+  createBadge(price) {
+    const wrapper = document.createElement("span");
+    wrapper.className = "usd-to-kau-converted";
+
+    // Keep the source amount so the badge can be restored or recomputed
+    wrapper.dataset.originalPrice = price.originalPrice;
+    wrapper.dataset.amount = price.amount;
+    wrapper.dataset.currency = price.currency;
+    if (price.amountMax) {
+      wrapper.dataset.amountMax = price.amountMax;
+    }
+    if (price.negative) {
+      wrapper.dataset.negative = "true";
+    }
+    if (price.rate) {
+      wrapper.dataset.rate = price.rate;
+    }
+
+    // Flag guesses so a misread "$" doesn't look authoritative
+    if (price.uncertain) {
+      wrapper.classList.add("kau-uncertain");
+      wrapper.dataset.currencySource = price.source;
+    }
+
+    this.renderBadge(wrapper);
+    return wrapper;
+  }
+
+  processSplitPrices(root) {
+    // Sites often build one price from several inline elements:
+    // <span>$</span><span>24</span><span>.99</span>, or cents in a <sup>.
+    // Starting from short text nodes with a currency sign, look for the
+    // smallest nearby container whose combined text is exactly one price
+    const seeds = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) =>
+        node.nodeValue.trim().length <= 12 &&
+        this.splitPriceSeed.test(node.nodeValue) &&
+        !this.shouldSkipTextNode(node) &&
+        !node.parentElement?.closest(".usd-to-kau-converted")
+          ? NodeFilter.FILTER_ACCEPT
+          : NodeFilter.FILTER_REJECT,
+    });
+    let node;
+    while ((node = walker.nextNode())) {
+      seeds.push(node);
+    }
+
+    let converted = 0;
+    for (const seed of seeds) {
+      // An earlier seed's container may already have replaced this one
+      if (!seed.isConnected) {
+        continue;
+      }
+      let container = seed.parentElement;
+      for (let depth = 0; container && depth < 3; depth++) {
+        if (container === document.body) {
+          break;
+        }
+        const price = this.getSplitPrice(container);
+        if (price === null) {
+          break;
+        }
+        if (price) {
+          const children = [...container.childNodes];
+          const badge = this.createBadge(price);
+          const source = container.textContent;
+          container.replaceChildren(badge);
+          this.recordConversion(children, [badge], new Map([[badge, source]]));
+          converted++;
+          break;
+        }
+        container = container.parentElement;
+      }
+    }
+    if (converted > 0) {
+      console.log(`Converted ${converted} prices split across elements`);
+    }
+  }
+
+  getSplitPrice(container) {
+    // The price a container's pieces add up to, false if they don't form
+    // exactly one price (a parent might), or null if the container can't
+    // hold a split price and there's no point looking further up
+    if (
+      container.textContent.length > 40 ||
+      [...container.querySelectorAll("*")].some(
+        (el) => !this.splitPriceTags.has(el.tagName)
+      )
+    ) {
+      return null;
+    }
+
+    const textNodes = [];
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      textNodes.push(node);
+    }
+    if (textNodes.length < 2) {
+      return false;
+    }
+
+    // Superscripted or "fraction" cents carry no decimal point of their own
+    let text = "";
+    for (const textNode of textNodes) {
+      const value = textNode.nodeValue;
+      const centsElement = textNode.parentElement.closest(
+        'sup, [class*="cents"], [class*="fraction"]'
+      );
+      if (
+        /^\s*\d{2}\s*$/.test(value) &&
+        centsElement &&
+        container.contains(centsElement) &&
+        /\d\s*$/.test(text)
+      ) {
+        text = text.trimEnd() + ".";
+      }
+      text += value;
+    }
+    text = text.replace(/\s+/g, " ").trim();
+
+    const prices = this.findPrices(text);
+    if (
+      prices.length !== 1 ||
+      prices[0].start !== 0 ||
+      prices[0].end !== text.length
+    ) {
+      return false;
+    }
+    return prices[0];
+  }
+
   parseUSDAmount(amountStr, multiplier = null) {
     if (!amountStr || typeof amountStr !== "string") {
       return 0;
@@ -595,74 +1957,677 @@ class USDToKAUConverter {
     return finalAmount;
   }
 
-  convertToKAU(usdAmount) {
-    if (!this.kauPrice || !this.kauPrice.price) {
+  normalizeAmountString(amountStr, hasMultiplier = false) {
+    // Turn locale-formatted amounts ("1.234,56", "1'234.56") into "1234.56"
+    const compact = amountStr.replace(/['\u00a0\u202f\s]/g, "");
+    const lastComma = compact.lastIndexOf(",");
+    const lastDot = compact.lastIndexOf(".");
+
+    if (lastComma !== -1 && lastDot !== -1) {
+      // Both separators present - whichever comes last is the decimal mark
+      const decimal = lastComma > lastDot ? "," : ".";
+      const grouping = decimal === "," ? /\./g : /,/g;
+      return compact.replace(grouping, "").replace(decimal, ".");
+    }
+
+    const separator = lastComma !== -1 ? "," : lastDot !== -1 ? "." : null;
+    if (!separator) {
+      return compact;
+    }
+
+    const parts = compact.split(separator);
+    const isGrouping =
+      !hasMultiplier && (parts.length > 2 || parts[1].length === 3);
+    return isGrouping ? parts.join("") : parts.join(".");
+  }
+
+  getMetalPrice() {
+    // Gold keeps its own record; the other metals live in metalPrices
+    const quote =
+      this.targetMetal === "XAU"
+        ? this.kauPrice
+        : this.metalPrices?.[this.targetMetal] || null;
+    if (quote && !this.isStalePrice(quote)) {
+      return quote;
+    }
+
+    // Missing or stale quote: follow the staleness policy. Only gold has a
+    // fallback price
+    if (this.stalePolicy === "last-quote") {
+      return quote;
+    }
+    if (this.stalePolicy === "fallback" && this.targetMetal === "XAU") {
+      return this.fallbackPrice;
+    }
+    return null;
+  }
+
+  convertToGrams(amount, currency = "USD") {
+    const metalPrice = this.getMetalPrice();
+    if (!metalPrice || !metalPrice.price) {
       return 0;
     }
 
-    // Convert USD to KAU (1 KAU = 1 gram of gold)
-    // kauPrice.price is the price per gram of gold
-    return usdAmount / this.kauPrice.price;
+    // metalPrice.price is the price per gram of the target metal in USD
+    // (for gold, 1 gram = 1 KAU)
+    if (currency === "USD") {
+      return amount / metalPrice.price;
+    }
+
+    // Other currencies go through the USD cross rate, which gives the
+    // XAU/xxx price per gram directly
+    const rate = this.fxRates?.rates?.[currency];
+    if (!rate) {
+      return 0;
+    }
+    return amount / (metalPrice.price * rate);
   }
 
-  formatKAUAmount(kauAmount) {
+  formatMetalAmount(grams) {
+    // KAU-style units are relative to the metal's own unit (KAU, KAG, or a
+    // plain gram for metals without one)
+    const token = this.metals[this.targetMetal].unit;
+    const tokenUnits = {
+      kau: { grams: token.grams, label: token.label },
+      "milli-kau": { grams: token.grams / 1000, label: `m${token.label}` },
+      "micro-kau": { grams: token.grams / 1000000, label: `μ${token.label}` },
+    };
+    const unit =
+      tokenUnits[this.displayFormat] || this.displayUnits[this.displayFormat];
+    if (unit) {
+      return `${this.formatUnitValue(grams / unit.grams)} ${unit.label}`;
+    }
+
+    // Auto-scale between μKAU, mKAU and KAU
+    const kauAmount = grams / token.grams;
     if (kauAmount < 0.0001) {
       // Very small amounts, show in micro-KAU
-      return `${Math.round(kauAmount * 1000000)} μKAU`;
+      return `${Math.round(kauAmount * 1000000)} μ${token.label}`;
     } else if (kauAmount < 0.01) {
       // Small amounts, show in milli-KAU
-      return `${(kauAmount * 1000).toFixed(2)} mKAU`;
+      return `${(kauAmount * 1000).toFixed(2)} m${token.label}`;
     } else if (kauAmount < 1) {
       // Less than 1 KAU, show with 4 decimal places
-      return `${kauAmount.toFixed(4)} KAU`;
+      return `${kauAmount.toFixed(4)} ${token.label}`;
     } else if (kauAmount < 1000) {
       // Regular amounts, show with 2 decimal places
-      return `${kauAmount.toFixed(2)} KAU`;
+      return `${kauAmount.toFixed(2)} ${token.label}`;
     } else {
       // Large amounts, show with commas and 2 decimal places
       return `${kauAmount.toLocaleString("en-US", {
         maximumFractionDigits: 2,
-      })} KAU`;
+      })} ${token.label}`;
+    }
+  }
+
+  formatPrice({ amount, amountMax, negative, rate }, toGrams) {
+    // Metal text for a parsed price. The ends of a range share one unit
+    // ("0.07–0.14 g") when they can, and the sign and rate carry over
+    let text = this.formatMetalAmount(toGrams(amount));
+    if (amountMax) {
+      const high = this.formatMetalAmount(toGrams(amountMax));
+      const unit = high.slice(high.lastIndexOf(" "));
+      text = text.endsWith(unit)
+        ? `${text.slice(0, -unit.length)}–${high}`
+        : `${text} – ${high}`;
+    }
+    if (negative) {
+      text = `-${text}`;
+    }
+    if (rate) {
+      text += `/${rate}`;
+    }
+    return text;
+  }
+
+  getBadgePrice(badge) {
+    // The parsed price a badge was created from, as stored on it
+    const { originalPrice, amount, amountMax, negative, rate } = badge.dataset;
+    const { currency, currencySource } = badge.dataset;
+    return {
+      originalPrice,
+      amount: parseFloat(amount),
+      amountMax: amountMax ? parseFloat(amountMax) : null,
+      negative: negative === "true",
+      rate: rate || null,
+      currency,
+      uncertain: Boolean(currencySource),
+      source: currencySource,
+    };
+  }
+
+  formatUnitValue(value) {
+    if (value >= 1000) {
+      return value.toLocaleString("en-US", { maximumFractionDigits: 2 });
+    } else if (value >= 1) {
+      return value.toFixed(2);
+    } else if (value >= 0.01) {
+      return value.toFixed(4);
+    }
+    // Tiny amounts in a large fixed unit - keep three significant digits
+    return value.toLocaleString("en-US", { maximumSignificantDigits: 3 });
+  }
+
+  renderBadge(badge) {
+    // (Re)draw a badge's icon, amount and tooltip from its stored source
+    // amount, using the current target metal, display format and prices
+    const price = this.getBadgePrice(badge);
+    const toGrams = (amount) =>
+      this.convertToGrams(amount, badge.dataset.currency);
+    if (toGrams(price.amount) <= 0) {
+      return false;
+    }
+
+    // In historical mode the headline amount uses the publish-month price
+    const historical = this.getHistoricalPriceFor(badge.dataset.currency);
+    const toDisplayGrams = historical
+      ? (amount) => amount / historical.price
+      : toGrams;
+    badge.classList.toggle("kau-historical", !!historical);
+
+    const metal = this.metals[this.targetMetal];
+    for (const symbol of Object.keys(this.metals)) {
+      badge.classList.toggle(
+        `kau-metal-${symbol.toLowerCase()}`,
+        symbol === this.targetMetal
+      );
     }
+
+    // The site's display style can drop the icon and the badge styling
+    badge.classList.toggle(
+      "kau-style-compact",
+      this.displayStyle === "compact"
+    );
+    badge.classList.toggle("kau-style-text", this.displayStyle === "text");
+
+    // Create text span with the metal amount
+    const textSpan = document.createElement("span");
+    textSpan.className = "kau-amount";
+    textSpan.textContent = this.formatPrice(price, toDisplayGrams);
+
+    if (this.displayStyle === "badge") {
+      // Gold has its ticker image; other metals get their element symbol
+      let icon;
+      if (metal.icon) {
+        icon = document.createElement("img");
+        icon.src = chrome.runtime.getURL(metal.icon);
+        icon.alt = metal.unit.label;
+      } else {
+        icon = document.createElement("span");
+        icon.textContent = metal.element;
+      }
+      icon.className = "kau-icon";
+      badge.replaceChildren(icon, textSpan);
+    } else {
+      badge.replaceChildren(textSpan);
+    }
+
+    // "Then vs now" comparison against today's price
+    if (historical && this.historicalCompare) {
+      const nowSpan = document.createElement("span");
+      nowSpan.className = "kau-then-now";
+      nowSpan.textContent = `→ ${this.formatPrice(price, toGrams)} now`;
+      badge.appendChild(nowSpan);
+    }
+
+    // Set tooltip with the original price, its currency and the metal
+    const { originalPrice, currency, currencySource } = badge.dataset;
+    const currencyNote = currencySource
+      ? `assumed ${currency} from ${currencySource} - may be another dollar`
+      : currency;
+    badge.title = `${originalPrice} (${currencyNote}) in ${metal.name}`;
+
+    // Dim badges priced from an old or made-up quote and say why
+    const quote = this.getMetalPrice();
+    const stale = this.isStalePrice(quote);
+    badge.classList.toggle("kau-stale", stale);
+    if (quote.source === "fallback") {
+      badge.title += " - live prices unavailable, using a fallback price";
+    } else if (stale) {
+      const hours = Math.floor((Date.now() - quote.timestamp) / 3600000);
+      badge.title += ` - price is ${hours} hours old`;
+    }
+    if (historical) {
+      const monthStart = new Date(`${historical.month}-01T00:00:00Z`);
+      const monthLabel = monthStart.toLocaleDateString("en-US", {
+        month: "short",
+        year: "numeric",
+        timeZone: "UTC",
+      });
+      const thenPrice = historical.pricePerOunce.toFixed(2);
+      const nowText = this.formatPrice(price, toGrams);
+      badge.title += ` at ${monthLabel} prices ($${thenPrice}/ozt); ${nowText} at today's price`;
+    }
+    return true;
+  }
+
+  refreshBadges() {
+    // Recompute existing badges in place from their stored source amounts
+    const badges = this.getBadges();
+    this.runUnobserved(() => {
+      badges.forEach((badge) => this.renderBadge(badge));
+    });
+    console.log(`Refreshed ${badges.length} badges`);
   }
 
   removeConversions() {
     // Find all converted elements and restore original text
-    const convertedElements = document.querySelectorAll(
-      ".usd-to-kau-converted"
-    );
+    const convertedElements = this.getBadges();
 
     console.log(`Removing ${convertedElements.length} conversions`);
+    this.stopLazyConversion();
 
-    convertedElements.forEach((element) => {
-      // Get the original USD price from the tooltip
-      const originalPrice = element.title;
-
-      // Replace the converted element with the original text
-      const textNode = document.createTextNode(originalPrice);
-      element.parentNode.replaceChild(textNode, element);
+    this.runUnobserved(() => {
+      convertedElements.forEach((element) => {
+        // Badges that shared a text node went back with the first of them
+        if (element.isConnected) {
+          this.restoreConversion(element);
+        }
+      });
     });
+    this.pendingNodes.clear();
 
     // Clear the processed elements set so they can be processed again if re-enabled
     this.processedElements = new WeakSet();
     console.log("Conversions removed, processed elements cleared");
   }
 
+  showSelectionCard(sum, selectionText = "") {
+    // Convert or total the amounts in the selected text, using the same
+    // parsing as the page conversion
+    const selection = window.getSelection();
+    const metal = this.metals[this.targetMetal];
+    const price = this.getMetalPrice();
+    const prices = price
+      ? this.findSelectionPrices(selection, selectionText)
+      : [];
+
+    let title;
+    const rows = [];
+    if (!price) {
+      title = `${metal.name[0].toUpperCase()}${metal.name.slice(
+        1
+      )} price unavailable`;
+    } else if (prices.length === 0) {
+      title = "No prices found in the selection";
+    } else if (sum) {
+      // Negative amounts are subtracted, and ranges make the total a range
+      let low = 0;
+      let high = 0;
+      for (const match of prices) {
+        const sign = match.negative ? -1 : 1;
+        const toGrams = (amount) =>
+          sign * this.convertToGrams(amount, match.currency);
+        low += toGrams(match.amount);
+        high += toGrams(match.amountMax || match.amount);
+      }
+      const formatUsd = (grams) =>
+        `${grams < 0 ? "-" : ""}$${Math.abs(grams * price.price).toLocaleString(
+          "en-US",
+          { minimumFractionDigits: 2, maximumFractionDigits: 2 }
+        )}`;
+      const formatMetal = (grams) =>
+        `${grams < 0 ? "-" : ""}${this.formatMetalAmount(Math.abs(grams))}`;
+      const formatTotal = (format) =>
+        high !== low ? `${format(low)} – ${format(high)}` : format(low);
+      title = `Total of ${prices.length} ${
+        prices.length === 1 ? "price" : "prices"
+      }`;
+      rows.push(["USD", formatTotal(formatUsd)]);
+      rows.push([metal.unit.label, formatTotal(formatMetal)]);
+    } else {
+      title = `Selection in ${metal.name}`;
+      for (const match of prices) {
+        rows.push([
+          match.originalPrice,
+          this.formatPrice(match, (amount) =>
+            this.convertToGrams(amount, match.currency)
+          ),
+        ]);
+      }
+    }
+
+    // A guessed "$" could skew the result, so say what was assumed
+    const guess = prices.find((match) => match.uncertain);
+    const note = guess
+      ? `"$" assumed to be ${guess.currency} from ${guess.source}`
+      : null;
+
+    const rect =
+      selection.rangeCount > 0
+        ? selection.getRangeAt(0).getBoundingClientRect()
+        : null;
+    this.showCard(title, rows, note, rect);
+  }
+
+  findSelectionPrices(selection, selectionText) {
+    // On a converted page the selected text reads as metal amounts, so each
+    // badge gives the price it was made from and only the text between
+    // badges is parsed
+    if (selection.rangeCount === 0 || selection.isCollapsed) {
+      return this.findPrices(selectionText);
+    }
+
+    const prices = [];
+    let text = "";
+    let lastBlock = null;
+    const flush = () => {
+      prices.push(...this.findPrices(text));
+      text = "";
+      lastBlock = null;
+    };
+    // Text in different blocks (cells, paragraphs) is kept on separate lines
+    const blockOf = (node) => {
+      let element = node.parentElement;
+      while (
+        element &&
+        getComputedStyle(element).display.startsWith("inline")
+      ) {
+        element = element.parentElement;
+      }
+      return element;
+    };
+
+    for (let i = 0; i < selection.rangeCount; i++) {
+      const range = selection.getRangeAt(i);
+      let root = range.commonAncestorContainer;
+      if (root.nodeType !== Node.ELEMENT_NODE) {
+        root = root.parentElement;
+      }
+      const enclosingBadge = root.closest(".usd-to-kau-converted");
+      if (enclosingBadge) {
+        // Part of a single badge is selected
+        flush();
+        prices.push(this.getBadgePrice(enclosingBadge));
+        continue;
+      }
+
+      const walker = document.createTreeWalker(
+        root,
+        NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+        {
+          acceptNode: (node) =>
+            range.intersectsNode(node) &&
+            !(
+              node.nodeType === Node.TEXT_NODE &&
+              node.parentElement.closest(".usd-to-kau-converted")
+            )
+              ? NodeFilter.FILTER_ACCEPT
+              : NodeFilter.FILTER_REJECT,
+        }
+      );
+      let node;
+      while ((node = walker.nextNode())) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          if (node.classList.contains("usd-to-kau-converted")) {
+            flush();
+            prices.push(this.getBadgePrice(node));
+          }
+          continue;
+        }
+        let value = node.data;
+        if (node === range.endContainer) {
+          value = value.slice(0, range.endOffset);
+        }
+        if (node === range.startContainer) {
+          value = value.slice(range.startOffset);
+        }
+        const block = blockOf(node);
+        if (lastBlock && block !== lastBlock) {
+          text += "\n";
+        }
+        text += value;
+        lastBlock = block;
+      }
+      flush();
+    }
+    return prices;
+  }
+
+  showCard(title, rows, note, rect) {
+    // Small card next to the selection, outside <body> so it is never
+    // converted itself. Closed by its button, Escape or clicking elsewhere
+    this.hideCard();
+    const card = document.createElement("div");
+    card.id = "kau-selection-card";
+
+    const header = document.createElement("div");
+    header.className = "kau-card-title";
+    header.textContent = title;
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "kau-card-close";
+    closeBtn.textContent = "×";
+    closeBtn.addEventListener("click", () => this.hideCard());
+    header.appendChild(closeBtn);
+    card.appendChild(header);
+
+    for (const [label, value] of rows) {
+      const row = document.createElement("div");
+      row.className = "kau-card-row";
+      const labelSpan = document.createElement("span");
+      labelSpan.textContent = label;
+      const valueSpan = document.createElement("span");
+      valueSpan.className = "kau-card-value";
+      valueSpan.textContent = value;
+      row.append(labelSpan, valueSpan);
+      card.appendChild(row);
+    }
+
+    if (note) {
+      const noteDiv = document.createElement("div");
+      noteDiv.className = "kau-card-note";
+      noteDiv.textContent = note;
+      card.appendChild(noteDiv);
+    }
+
+    // Below the selection when there is one with a position, else top right
+    if (rect && (rect.width || rect.height)) {
+      card.style.top = `${Math.min(
+        rect.bottom + 8,
+        window.innerHeight - 120
+      )}px`;
+      card.style.left = `${Math.max(
+        Math.min(rect.left, window.innerWidth - 280),
+        8
+      )}px`;
+    } else {
+      card.style.top = "16px";
+      card.style.right = "16px";
+    }
+    document.documentElement.appendChild(card);
+
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") {
+        this.hideCard();
+      }
+    };
+    const onMouseDown = (e) => {
+      if (!card.contains(e.target)) {
+        this.hideCard();
+      }
+    };
+    document.addEventListener("keydown", onKeyDown, true);
+    document.addEventListener("mousedown", onMouseDown, true);
+    this.card = { element: card, onKeyDown, onMouseDown };
+  }
+
+  hideCard() {
+    if (!this.card) {
+      return;
+    }
+    document.removeEventListener("keydown", this.card.onKeyDown, true);
+    document.removeEventListener("mousedown", this.card.onMouseDown, true);
+    this.card.element.remove();
+    this.card = null;
+  }
+
+  startElementPicker() {
+    // Highlight the element under the pointer; clicking it excludes it on
+    // this site and Escape cancels. The overlay lives outside <body> so the
+    // converter never walks it
+    if (this.picker) {
+      return;
+    }
+    const highlight = document.createElement("div");
+    highlight.id = "kau-picker-highlight";
+    const label = document.createElement("div");
+    label.id = "kau-picker-label";
+    document.documentElement.append(highlight, label);
+
+    const onMouseOver = (e) => {
+      // Badges are ours, so aim for the element that contains them
+      const target =
+        e.target.closest(".usd-to-kau-converted")?.parentElement || e.target;
+      if (target === document.body || target === document.documentElement) {
+        return;
+      }
+      this.picker.target = target;
+      const rect = target.getBoundingClientRect();
+      Object.assign(highlight.style, {
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+      });
+      label.textContent = this.buildSelector(target);
+      label.style.top = `${Math.max(rect.top - 22, 0)}px`;
+      label.style.left = `${rect.left}px`;
+    };
+    const onClick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (!this.picker.target) {
+        return;
+      }
+      const selector = this.buildSelector(this.picker.target);
+      this.stopElementPicker();
+      console.log("Excluding element:", selector);
+      chrome.runtime.sendMessage({
+        action: "addExcludedSelector",
+        url: this.currentUrl,
+        selector,
+      });
+    };
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        this.stopElementPicker();
+      }
+    };
+
+    this.picker = {
+      highlight,
+      label,
+      target: null,
+      listeners: { mouseover: onMouseOver, click: onClick, keydown: onKeyDown },
+    };
+    for (const [type, listener] of Object.entries(this.picker.listeners)) {
+      document.addEventListener(type, listener, true);
+    }
+  }
+
+  stopElementPicker() {
+    if (!this.picker) {
+      return;
+    }
+    for (const [type, listener] of Object.entries(this.picker.listeners)) {
+      document.removeEventListener(type, listener, true);
+    }
+    this.picker.highlight.remove();
+    this.picker.label.remove();
+    this.picker = null;
+  }
+
+  buildSelector(element) {
+    // Walk up from the element until the selector is unique on the page,
+    // preferring ids, test ids and hand-written class names over positions
+    // so it survives re-renders. Tags and positions alone ("p", "div > span")
+    // are only unique by luck, so those keep walking up to a named ancestor
+    const parts = [];
+    for (let el = element; el; el = el.parentElement) {
+      parts.unshift(this.getSelectorPart(el));
+      const selector = parts.join(" > ");
+      const named = /[#.[]/.test(selector);
+      if (
+        el === document.body ||
+        (named && document.querySelectorAll(selector).length === 1)
+      ) {
+        return selector;
+      }
+    }
+    return parts.join(" > ");
+  }
+
+  getSelectorPart(el) {
+    const tag = el.tagName.toLowerCase();
+    if (tag === "body") {
+      return tag;
+    }
+    if (el.id && this.isStableName(el.id)) {
+      return `#${CSS.escape(el.id)}`;
+    }
+    for (const attribute of ["data-testid", "data-test", "data-qa"]) {
+      const value = el.getAttribute(attribute);
+      if (value) {
+        return `${tag}[${attribute}="${CSS.escape(value)}"]`;
+      }
+    }
+
+    const classes = [...el.classList]
+      .filter((name) => this.isStableName(name) && !name.startsWith("kau-"))
+      .slice(0, 2);
+    let part = tag + classes.map((name) => `.${CSS.escape(name)}`).join("");
+
+    // Fall back to position only among siblings the classes can't tell apart
+    const siblings = el.parentElement ? [...el.parentElement.children] : [];
+    if (siblings.filter((sibling) => sibling.matches(part)).length > 1) {
+      const sameTag = siblings.filter(
+        (sibling) => sibling.tagName === el.tagName
+      );
+      part += `:nth-of-type(${sameTag.indexOf(el) + 1})`;
+    }
+    return part;
+  }
+
+  isStableName(name) {
+    // Build tools generate names like "css-1q2w3e", "sc-bdVaJa" or "ember42"
+    // that change between deploys
+    return (
+      /^[A-Za-z][\w-]*$/.test(name) &&
+      !/\d{2,}/.test(name) &&
+      !/^(css|sc|jsx|svelte)-/.test(name) &&
+      !/[a-z][A-Z].*[A-Z]/.test(name)
+    );
+  }
+
   destroy() {
     if (this.observer) {
       this.observer.disconnect();
     }
-    if (this.debounceTimeout) {
-      clearTimeout(this.debounceTimeout);
+    if (this.idleCallback !== null) {
+      cancelIdleCallback(this.idleCallback);
     }
+    this.stopLazyConversion();
+  }
+}
+
+// Same-origin frames are converted along with the page; cross-origin ones
+// (ads, embedded players) can't read the tab's URL and are left alone
+function isSameOriginFrame() {
+  try {
+    return Boolean(window.top.location.href);
+  } catch (error) {
+    return false;
   }
 }
 
 // Initialize the converter when the page loads
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", () => {
+if (isSameOriginFrame()) {
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", () => {
+      new USDToKAUConverter();
+    });
+  } else {
     new USDToKAUConverter();
-  });
-} else {
-  new USDToKAUConverter();
+  }
 }
@@ -0,0 +1,321 @@
+// Options page script for Priced In Gold
+class OptionsController {
+  constructor() {
+    this.elements = {
+      providerList: document.getElementById("providerList"),
+      providerTemplate: document.getElementById("providerTemplate"),
+      addProviderBtn: document.getElementById("addProviderBtn"),
+      resetProvidersBtn: document.getElementById("resetProvidersBtn"),
+      saveProvidersBtn: document.getElementById("saveProvidersBtn"),
+      saveStatus: document.getElementById("saveStatus"),
+      maxMoveInput: document.getElementById("maxMoveInput"),
+      rangeInputs: document.querySelectorAll("[data-range-symbol]"),
+      saveValidationBtn: document.getElementById("saveValidationBtn"),
+      resetValidationBtn: document.getElementById("resetValidationBtn"),
+      validationStatus: document.getElementById("validationStatus"),
+    };
+
+    this.init();
+  }
+
+  async init() {
+    await this.loadProviders();
+    await this.loadValidation();
+    this.setupEventListeners();
+  }
+
+  async loadProviders() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getPriceProviders",
+      });
+      this.renderProviders(response.providers);
+    } catch (error) {
+      console.error("Error loading price providers:", error);
+    }
+  }
+
+  setupEventListeners() {
+    this.elements.addProviderBtn.addEventListener("click", () => {
+      const priorities = this.readProviders().map((p) => p.priority);
+      this.addProviderCard({
+        id: `custom-${Date.now()}`,
+        name: "",
+        url: "",
+        headers: {},
+        pricePath: "$.price",
+        quoteUnit: "oz",
+        priority: Math.max(0, ...priorities) + 1,
+        enabled: true,
+      });
+    });
+
+    this.elements.resetProvidersBtn.addEventListener("click", async () => {
+      await chrome.storage.local.remove("priceProviders");
+      await this.loadProviders();
+      this.showSaveStatus("Restored default providers");
+      chrome.runtime.sendMessage({ action: "refreshPrice" });
+    });
+
+    this.elements.saveProvidersBtn.addEventListener("click", () => {
+      this.saveProviders();
+    });
+
+    this.elements.providerList.addEventListener("click", (e) => {
+      const card = e.target.closest(".provider-card");
+      if (e.target.dataset.action === "remove") {
+        card.remove();
+      } else if (e.target.dataset.action === "test") {
+        this.testProvider(card);
+      }
+    });
+
+    this.elements.saveValidationBtn.addEventListener("click", () => {
+      this.saveValidation();
+    });
+
+    this.elements.resetValidationBtn.addEventListener("click", async () => {
+      await chrome.storage.local.remove("priceValidation");
+      await this.loadValidation();
+      this.showStatus(this.elements.validationStatus, "Restored defaults");
+    });
+
+    this.elements.providerList.addEventListener("change", (e) => {
+      if (e.target.dataset.field === "enabled") {
+        const card = e.target.closest(".provider-card");
+        card.classList.toggle("disabled", !e.target.checked);
+      }
+    });
+  }
+
+  renderProviders(providers) {
+    this.elements.providerList.innerHTML = "";
+    [...providers]
+      .sort((a, b) => a.priority - b.priority)
+      .forEach((provider) => this.addProviderCard(provider));
+  }
+
+  addProviderCard(provider) {
+    const card = this.elements.providerTemplate.content
+      .querySelector(".provider-card")
+      .cloneNode(true);
+    card.dataset.id = provider.id;
+
+    const field = (name) => card.querySelector(`[data-field="${name}"]`);
+    field("name").value = provider.name;
+    field("url").value = provider.url;
+    field("headers").value = Object.entries(provider.headers || {})
+      .map(([name, value]) => `${name}: ${value}`)
+      .join("\n");
+    field("pricePath").value = provider.pricePath;
+    field("quoteUnit").value = provider.quoteUnit;
+    field("priority").value = provider.priority;
+    field("enabled").checked = provider.enabled;
+    card.classList.toggle("disabled", !provider.enabled);
+
+    this.elements.providerList.appendChild(card);
+  }
+
+  readProvider(card) {
+    const field = (name) => card.querySelector(`[data-field="${name}"]`);
+    const headers = {};
+    field("headers")
+      .value.split("\n")
+      .forEach((line) => {
+        const separator = line.indexOf(":");
+        if (separator > 0) {
+          headers[line.slice(0, separator).trim()] = line
+            .slice(separator + 1)
+            .trim();
+        }
+      });
+
+    return {
+      id: card.dataset.id,
+      name: field("name").value.trim(),
+      url: field("url").value.trim(),
+      headers,
+      pricePath: field("pricePath").value.trim() || "$.price",
+      quoteUnit: field("quoteUnit").value,
+      priority: parseInt(field("priority").value, 10) || 1,
+      enabled: field("enabled").checked,
+    };
+  }
+
+  readProviders() {
+    return [...this.elements.providerList.children].map((card) =>
+      this.readProvider(card)
+    );
+  }
+
+  validateProvider(provider) {
+    if (!provider.name) {
+      return "Give the provider a name";
+    }
+    try {
+      const url = new URL(provider.url.replace("{symbol}", "XAU"));
+      if (url.protocol !== "https:" && url.protocol !== "http:") {
+        return "URL must start with http:// or https://";
+      }
+    } catch (error) {
+      return `Invalid URL for ${provider.name}`;
+    }
+    return null;
+  }
+
+  async requestHostPermissions(providers) {
+    // Custom endpoints need host access before the background can fetch them
+    const origins = [
+      ...new Set(
+        providers.map(
+          (provider) =>
+            `${new URL(provider.url.replace("{symbol}", "XAU")).origin}/*`
+        )
+      ),
+    ];
+    // Called straight from the click handler so the request keeps the user
+    // gesture; already-granted origins resolve without a prompt
+    return chrome.permissions.request({ origins });
+  }
+
+  async testProvider(card) {
+    const result = card.querySelector(".test-result");
+    const provider = this.readProvider(card);
+    const error = this.validateProvider(provider);
+    if (error) {
+      this.showTestResult(result, false, error);
+      return;
+    }
+
+    this.showTestResult(result, true, "Testing...");
+    try {
+      if (!(await this.requestHostPermissions([provider]))) {
+        this.showTestResult(result, false, "Permission to access URL denied");
+        return;
+      }
+
+      const response = await chrome.runtime.sendMessage({
+        action: "testProvider",
+        provider,
+        symbol: "XAU",
+      });
+      if (response.success && response.warning) {
+        this.showTestResult(
+          result,
+          false,
+          `Would be rejected: ${response.warning}`
+        );
+      } else if (response.success) {
+        const price = response.quote.pricePerOunce.toFixed(2);
+        this.showTestResult(result, true, `Gold: $${price}/ozt`);
+      } else {
+        this.showTestResult(result, false, response.error);
+      }
+    } catch (error) {
+      this.showTestResult(result, false, error.message);
+    }
+  }
+
+  showTestResult(element, success, message) {
+    element.className = `test-result ${success ? "success" : "error"}`;
+    element.textContent = message;
+  }
+
+  async saveProviders() {
+    const providers = this.readProviders();
+    for (const provider of providers) {
+      const error = this.validateProvider(provider);
+      if (error) {
+        this.showSaveStatus(error, true);
+        return;
+      }
+    }
+
+    const enabled = providers.filter((provider) => provider.enabled);
+    if (enabled.length === 0) {
+      this.showSaveStatus("Enable at least one provider", true);
+      return;
+    }
+
+    try {
+      if (!(await this.requestHostPermissions(enabled))) {
+        this.showSaveStatus("Permission to access provider URLs denied", true);
+        return;
+      }
+
+      await chrome.storage.local.set({ priceProviders: providers });
+      this.renderProviders(providers);
+      this.showSaveStatus("Saved");
+      chrome.runtime.sendMessage({ action: "refreshPrice" });
+    } catch (error) {
+      console.error("Error saving price providers:", error);
+      this.showSaveStatus("Failed to save providers", true);
+    }
+  }
+
+  async loadValidation() {
+    try {
+      const { validation } = await chrome.runtime.sendMessage({
+        action: "getPriceValidation",
+      });
+      this.elements.maxMoveInput.value = +(validation.maxMove * 100).toFixed(2);
+      this.elements.rangeInputs.forEach((input) => {
+        const range = validation.ranges[input.dataset.rangeSymbol];
+        input.value = range[input.dataset.rangeBound];
+      });
+    } catch (error) {
+      console.error("Error loading price validation:", error);
+    }
+  }
+
+  async saveValidation() {
+    const maxMove = parseFloat(this.elements.maxMoveInput.value) / 100;
+    if (!(maxMove > 0)) {
+      this.showStatus(
+        this.elements.validationStatus,
+        "Maximum move must be above 0%",
+        true
+      );
+      return;
+    }
+
+    const ranges = {};
+    this.elements.rangeInputs.forEach((input) => {
+      const { rangeSymbol, rangeBound } = input.dataset;
+      ranges[rangeSymbol] = ranges[rangeSymbol] || {};
+      ranges[rangeSymbol][rangeBound] = parseFloat(input.value);
+    });
+    for (const [symbol, range] of Object.entries(ranges)) {
+      if (!(range.minPerOunce > 0 && range.maxPerOunce > range.minPerOunce)) {
+        this.showStatus(
+          this.elements.validationStatus,
+          `Invalid range for ${symbol}`,
+          true
+        );
+        return;
+      }
+    }
+
+    try {
+      await chrome.storage.local.set({ priceValidation: { maxMove, ranges } });
+      this.showStatus(this.elements.validationStatus, "Saved");
+    } catch (error) {
+      console.error("Error saving price validation:", error);
+      this.showStatus(this.elements.validationStatus, "Failed to save", true);
+    }
+  }
+
+  showSaveStatus(message, isError = false) {
+    this.showStatus(this.elements.saveStatus, message, isError);
+  }
+
+  showStatus(element, message, isError = false) {
+    element.textContent = message;
+    element.style.color = isError ? "#e74c3c" : "#27ae60";
+  }
+}
+
+// Initialize options page when DOM is loaded
+document.addEventListener("DOMContentLoaded", () => {
+  new OptionsController();
+});
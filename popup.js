@@ -1,28 +1,110 @@
-// Hardcoded excluded URLs that should always be excluded
-const HARDCODED_EXCLUDED_URLS = ["kinesis.money", "mene.com"];
+// Ranges the price history chart can show
+const HISTORY_RANGES = {
+  "24h": 24 * 60 * 60 * 1000,
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "30d": 30 * 24 * 60 * 60 * 1000,
+};
+
+// Metals prices can be shown in, with the unit each metal is quoted per
+const METALS = {
+  XAU: {
+    name: "Gold",
+    unit: "KAU",
+    unitGrams: 1,
+    formatNames: { kau: "KAU", milli: "Milli-KAU", micro: "Micro-KAU" },
+  },
+  XAG: {
+    name: "Silver",
+    unit: "KAG",
+    unitGrams: 31.1034768,
+    formatNames: { kau: "KAG", milli: "Milli-KAG", micro: "Micro-KAG" },
+  },
+  XPT: {
+    name: "Platinum",
+    unit: "g",
+    unitGrams: 1,
+    formatNames: {
+      kau: "Grams (g)",
+      milli: "Milligrams (mg)",
+      micro: "Micrograms (μg)",
+    },
+  },
+  XPD: {
+    name: "Palladium",
+    unit: "g",
+    unitGrams: 1,
+    formatNames: {
+      kau: "Grams (g)",
+      milli: "Milligrams (mg)",
+      micro: "Micrograms (μg)",
+    },
+  },
+};
 
 // Popup script for Priced In Gold
 class PopupController {
   constructor() {
     this.elements = {
       kauPrice: document.getElementById("kauPrice"),
+      priceLabel: document.getElementById("priceLabel"),
       priceSource: document.getElementById("priceSource"),
       lastUpdated: document.getElementById("lastUpdated"),
+      fxUpdated: document.getElementById("fxUpdated"),
+      priceWarning: document.getElementById("priceWarning"),
+      diagnostics: document.getElementById("diagnostics"),
+      diagnosticsCount: document.getElementById("diagnosticsCount"),
+      diagnosticsList: document.getElementById("diagnosticsList"),
+      historyChart: document.getElementById("historyChart"),
+      historyLow: document.getElementById("historyLow"),
+      historyHigh: document.getElementById("historyHigh"),
+      historyRanges: document.querySelectorAll(".history-range"),
       enableToggle: document.getElementById("enableToggle"),
+      pageProgress: document.getElementById("pageProgress"),
+      formatSelect: document.getElementById("formatSelect"),
+      metalSelect: document.getElementById("metalSelect"),
+      historicalToggle: document.getElementById("historicalToggle"),
+      historicalCompareToggle: document.getElementById(
+        "historicalCompareToggle"
+      ),
+      siteProfile: document.getElementById("siteProfile"),
+      siteRuleInput: document.getElementById("siteRuleInput"),
+      resetSiteBtn: document.getElementById("resetSiteBtn"),
+      sitePausedToggle: document.getElementById("sitePausedToggle"),
+      siteMetalSelect: document.getElementById("siteMetalSelect"),
+      siteFormatSelect: document.getElementById("siteFormatSelect"),
+      siteCurrencySelect: document.getElementById("siteCurrencySelect"),
+      siteStyleSelect: document.getElementById("siteStyleSelect"),
+      siteSelectorInput: document.getElementById("siteSelectorInput"),
+      addSelectorBtn: document.getElementById("addSelectorBtn"),
+      pickElementBtn: document.getElementById("pickElementBtn"),
+      siteSelectorList: document.getElementById("siteSelectorList"),
+      siteProfileStatus: document.getElementById("siteProfileStatus"),
+      skipContextToggles: document.querySelectorAll("[data-skip-context]"),
+      lazyToggle: document.getElementById("lazyToggle"),
+      stalePolicySelect: document.getElementById("stalePolicySelect"),
+      staleHoursInput: document.getElementById("staleHoursInput"),
       refreshBtn: document.getElementById("refreshBtn"),
+      settingsBtn: document.getElementById("settingsBtn"),
       urlInput: document.getElementById("urlInput"),
       addUrlBtn: document.getElementById("addUrlBtn"),
       urlList: document.getElementById("urlList"),
+      urlListLabel: document.getElementById("urlListLabel"),
+      urlModeSelect: document.getElementById("urlModeSelect"),
+      testUrlInput: document.getElementById("testUrlInput"),
+      testUrlBtn: document.getElementById("testUrlBtn"),
+      testUrlResult: document.getElementById("testUrlResult"),
       // testBtn: document.getElementById("testBtn"),
     };
 
+    this.historyRange = "7d";
+
     this.init();
   }
 
   async init() {
     // Check if we're on a hardcoded excluded URL
     const currentUrl = await this.getCurrentTabUrl();
-    if (currentUrl && this.isHardcodedExcluded(currentUrl)) {
+    if (currentUrl && UrlRules.isHardcodedExcluded(currentUrl)) {
       this.showExcludedMessage(currentUrl);
       return;
     }
@@ -30,9 +112,21 @@ class PopupController {
     // Load current settings
     await this.loadSettings();
 
+    // Show the overrides for the active tab's site
+    this.renderSiteProfile(currentUrl);
+
+    // Show how much of the active tab has been converted
+    this.loadPageProgress();
+
     // Load current KAU price
     await this.loadKAUPrice();
 
+    // Load and chart the locally recorded price history
+    await this.loadPriceHistory();
+
+    // Show quotes the background refused to use
+    await this.loadDiagnostics();
+
     // Set up event listeners
     this.setupEventListeners();
 
@@ -45,11 +139,42 @@ class PopupController {
       const result = await chrome.storage.local.get([
         "enabled",
         "displayFormat",
+        "targetMetal",
+        "historicalMode",
+        "historicalCompare",
+        "stalePolicy",
+        "stalePriceHours",
         "excludedUrls",
+        "allowedUrls",
+        "urlListMode",
+        "siteProfiles",
+        "skipContexts",
+        "lazyConversion",
       ]);
       this.elements.enableToggle.checked = result.enabled !== false; // default to true
+      this.targetMetal = METALS[result.targetMetal]
+        ? result.targetMetal
+        : "XAU";
+      this.elements.metalSelect.value = this.targetMetal;
+      this.updateFormatOptions(result.displayFormat || "auto");
+      this.elements.historicalToggle.checked = result.historicalMode === true;
+      this.elements.historicalCompareToggle.checked =
+        result.historicalCompare === true;
+      this.elements.stalePolicySelect.value =
+        result.stalePolicy || "last-quote";
+      this.elements.staleHoursInput.value = result.stalePriceHours || 6;
       this.excludedUrls = result.excludedUrls || [];
+      this.allowedUrls = result.allowedUrls || [];
+      this.urlListMode = result.urlListMode || "exclude";
+      this.elements.urlModeSelect.value = this.urlListMode;
       this.renderUrlList();
+      this.siteProfiles = result.siteProfiles || [];
+      // Every context is skipped unless turned off
+      this.elements.skipContextToggles.forEach((toggle) => {
+        toggle.checked =
+          result.skipContexts?.[toggle.dataset.skipContext] !== false;
+      });
+      this.elements.lazyToggle.checked = result.lazyConversion === true;
     } catch (error) {
       console.error("Error loading settings:", error);
     }
@@ -61,13 +186,32 @@ class PopupController {
         action: "getKAUPrice",
       });
 
-      if (response.kauPrice) {
-        this.updatePriceDisplay(response.kauPrice);
+      this.updateFxDisplay(response.fxRates);
+
+      // Gold keeps its own record; the other metals live in metalPrices
+      const priceData =
+        this.targetMetal === "XAU"
+          ? response.kauPrice
+          : response.metalPrices?.[this.targetMetal];
+
+      if (priceData) {
+        this.updatePriceDisplay(priceData);
+      } else if (this.targetMetal !== "XAU" && response.kauPrice) {
+        this.showErrorState(
+          `No ${METALS[this.targetMetal].name.toLowerCase()} price yet`
+        );
       } else if (response.kauPriceError) {
-        this.showErrorState(response.kauPriceError);
+        this.showErrorState("All price providers failed");
       } else {
         this.showLoadingState();
       }
+
+      // Only gold refresh failures are recorded
+      this.updatePriceWarning(
+        priceData,
+        this.targetMetal === "XAU" ? response.kauPriceError : null,
+        response.fallbackPrice
+      );
     } catch (error) {
       console.error("Error loading KAU price:", error);
       this.showErrorState("Failed to load KAU price");
@@ -79,12 +223,22 @@ class PopupController {
     const source = priceData.source;
     const lastUpdated = new Date(priceData.lastUpdated);
 
-    // Format price
-    this.elements.kauPrice.textContent = `$${price.toFixed(2)}/KAU`;
-
-    // Update source badge
-    this.elements.priceSource.textContent = source;
+    // Format price per unit of the selected metal
+    const metal = METALS[this.targetMetal];
+    const label = metal.unit === "g" ? metal.name : metal.unit;
+    const unitPrice = price * metal.unitGrams;
+    this.elements.priceLabel.textContent = `${label} Price:`;
+    this.elements.kauPrice.textContent = `$${unitPrice.toFixed(2)}/${
+      metal.unit
+    }`;
+
+    // Update source badge with the providers that agreed on the price
+    const providers = priceData.providers || [source];
+    this.elements.priceSource.textContent = providers.join(" + ");
     this.elements.priceSource.className = `source-badge ${source.toLowerCase()}`;
+    if (priceData.outliers && priceData.outliers.length > 0) {
+      this.elements.priceSource.classList.add("disputed");
+    }
 
     // Make source clickable if it's gold-api.com
     if (source === "gold-api.com") {
@@ -99,10 +253,240 @@ class PopupController {
       this.elements.priceSource.onclick = null;
     }
 
+    const details = this.getSourceDetails(priceData);
+    if (details) {
+      this.elements.priceSource.title = [
+        this.elements.priceSource.title,
+        details,
+      ]
+        .filter(Boolean)
+        .join("\n");
+    }
+
     // Update last updated time
     this.elements.lastUpdated.textContent = this.formatTimeAgo(lastUpdated);
   }
 
+  getSourceDetails(priceData) {
+    // Tooltip summarising how the consensus price was reached
+    const lines = [];
+    if (priceData.quotes && priceData.quotes.length > 1) {
+      lines.push(
+        `Spread across providers: ${(priceData.spread * 100).toFixed(2)}%`
+      );
+    }
+    (priceData.outliers || []).forEach((provider) => {
+      const quote = priceData.quotes.find((q) => q.provider === provider);
+      lines.push(
+        `Rejected ${provider}: $${quote.pricePerOunce.toFixed(2)}/ozt`
+      );
+    });
+    (priceData.errors || []).forEach(({ provider, error }) => {
+      lines.push(`${provider} failed: ${error}`);
+    });
+    return lines.join("\n");
+  }
+
+  async loadPriceHistory() {
+    try {
+      const { priceHistory = {} } = await chrome.storage.local.get([
+        "priceHistory",
+      ]);
+      this.priceHistory = priceHistory[this.targetMetal] || [];
+    } catch (error) {
+      console.error("Error loading price history:", error);
+      this.priceHistory = [];
+    }
+    this.renderPriceHistory();
+  }
+
+  getHistoryChange(range) {
+    // Percent change from the last point at or before the start of the range
+    const points = this.priceHistory;
+    if (points.length < 2) {
+      return null;
+    }
+
+    const latest = points[points.length - 1];
+    const start = latest.t - HISTORY_RANGES[range];
+    const baseline = points.filter((point) => point.t <= start).pop();
+    if (!baseline) {
+      return null;
+    }
+    return ((latest.p - baseline.p) / baseline.p) * 100;
+  }
+
+  renderPriceHistory() {
+    // Change figures for every range
+    for (const range of Object.keys(HISTORY_RANGES)) {
+      const change = this.getHistoryChange(range);
+      const element = document.getElementById(`change${range}`);
+      if (change === null) {
+        element.textContent = "—";
+        element.className = "change";
+      } else {
+        const sign = change > 0 ? "+" : "";
+        element.textContent = `${sign}${change.toFixed(2)}%`;
+        element.className = `change ${change >= 0 ? "up" : "down"}`;
+      }
+    }
+
+    this.elements.historyRanges.forEach((button) => {
+      button.classList.toggle(
+        "active",
+        button.dataset.range === this.historyRange
+      );
+    });
+
+    // Sparkline of the selected range, drawn as an inline SVG polyline
+    const chart = this.elements.historyChart;
+    chart.replaceChildren();
+    this.elements.historyLow.textContent = "";
+    this.elements.historyHigh.textContent = "";
+
+    const now = Date.now();
+    const points = this.priceHistory.filter(
+      (point) => now - point.t <= HISTORY_RANGES[this.historyRange]
+    );
+    if (points.length < 2) {
+      this.elements.historyLow.textContent =
+        "History builds up as prices are fetched";
+      return;
+    }
+
+    const width = 288;
+    const height = 48;
+    const prices = points.map((point) => point.p);
+    const low = Math.min(...prices);
+    const high = Math.max(...prices);
+    const first = points[0].t;
+    const span = points[points.length - 1].t - first || 1;
+    const coordinates = points.map((point) => {
+      const x = ((point.t - first) / span) * width;
+      // Leave a pixel of headroom so the line isn't clipped at the edges
+      const y =
+        high === low
+          ? height / 2
+          : height - 1 - ((point.p - low) / (high - low)) * (height - 2);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+
+    const polyline = document.createElementNS(
+      "http://www.w3.org/2000/svg",
+      "polyline"
+    );
+    polyline.setAttribute("points", coordinates.join(" "));
+    polyline.setAttribute(
+      "stroke",
+      prices[prices.length - 1] >= prices[0] ? "#27ae60" : "#e74c3c"
+    );
+    chart.appendChild(polyline);
+
+    // Low/high in the selected metal's display unit
+    const { unit, unitGrams } = METALS[this.targetMetal];
+    const perUnit = (pricePerOunce) =>
+      ((pricePerOunce / 31.1034768) * unitGrams).toFixed(2);
+    this.elements.historyLow.textContent = `Low $${perUnit(low)}/${unit}`;
+    this.elements.historyHigh.textContent = `High $${perUnit(high)}/${unit}`;
+  }
+
+  updateFormatOptions(displayFormat) {
+    this.labelFormatOptions(this.elements.formatSelect, this.targetMetal);
+    const gramBased = METALS[this.targetMetal].unit === "g";
+    this.elements.formatSelect.value =
+      gramBased && displayFormat === "gram" ? "kau" : displayFormat;
+  }
+
+  labelFormatOptions(select, metal) {
+    // KAU-style formats are relative to the metal's unit
+    const { unit, formatNames } = METALS[metal];
+    const option = (value) => select.querySelector(`option[value="${value}"]`);
+    option("auto").textContent = `Auto (μ${unit}/m${unit}/${unit})`;
+    option("kau").textContent = `Always ${formatNames.kau}`;
+    option("milli-kau").textContent = `Always ${formatNames.milli}`;
+    option("micro-kau").textContent = `Always ${formatNames.micro}`;
+
+    // For gram-based metals "Always Grams" duplicates the metal's own unit
+    option("gram").hidden = unit === "g";
+  }
+
+  updateFxDisplay(fxRates) {
+    if (!fxRates) {
+      this.elements.fxUpdated.textContent = "Unavailable (USD only)";
+      return;
+    }
+
+    const lastUpdated = new Date(fxRates.lastUpdated);
+    this.elements.fxUpdated.textContent = `${this.formatTimeAgo(
+      lastUpdated
+    )} · ${fxRates.source}`;
+  }
+
+  updatePriceWarning(priceData, priceError, fallbackPrice) {
+    // Explain what pages are doing when the price is stale or unavailable
+    const lines = [];
+    const policy = this.elements.stalePolicySelect.value;
+    const staleHours = parseFloat(this.elements.staleHoursInput.value) || 6;
+    const staleMs = staleHours * 60 * 60 * 1000;
+
+    if (!priceData || Date.now() - priceData.timestamp > staleMs) {
+      const age = priceData
+        ? `Price is from ${this.formatTimeAgo(new Date(priceData.lastUpdated))}`
+        : "No price available";
+      let effect = "pages are not converted";
+      if (policy === "last-quote" && priceData) {
+        effect = "pages show it dimmed";
+      } else if (
+        policy === "fallback" &&
+        this.targetMetal === "XAU" &&
+        fallbackPrice
+      ) {
+        effect = `pages use a fallback price of $${fallbackPrice.price}/g`;
+      }
+      lines.push(`⚠ ${age} - ${effect}`);
+    }
+
+    if (priceError) {
+      lines.push(
+        `Last refresh failed ${this.formatTimeAgo(
+          new Date(priceError.lastAttempt)
+        )}: ${priceError.error}`
+      );
+      (priceError.providers || []).forEach(({ provider, error }) => {
+        lines.push(`• ${provider}: ${error}`);
+      });
+    }
+
+    this.elements.priceWarning.textContent = lines.join("\n");
+    this.elements.priceWarning.hidden = lines.length === 0;
+  }
+
+  async loadDiagnostics() {
+    try {
+      const { priceDiagnostics = [] } = await chrome.storage.local.get([
+        "priceDiagnostics",
+      ]);
+      this.renderDiagnostics(priceDiagnostics);
+    } catch (error) {
+      console.error("Error loading price diagnostics:", error);
+    }
+  }
+
+  renderDiagnostics(entries) {
+    this.elements.diagnostics.hidden = entries.length === 0;
+    this.elements.diagnosticsCount.textContent = entries.length;
+    this.elements.diagnosticsList.innerHTML = "";
+
+    entries.slice(0, 10).forEach((entry) => {
+      const item = document.createElement("li");
+      const when = this.formatTimeAgo(new Date(entry.timestamp));
+      item.textContent = `${when} · ${METALS[entry.symbol].name} from ${
+        entry.provider
+      }: ${entry.reason}`;
+      this.elements.diagnosticsList.appendChild(item);
+    });
+  }
+
   showErrorState(error) {
     this.elements.kauPrice.innerHTML =
       '<span class="error-state">❌ Error</span>';
@@ -148,6 +532,7 @@ class PopupController {
     this.elements.enableToggle.addEventListener("change", async (e) => {
       const enabled = e.target.checked;
       await chrome.storage.local.set({ enabled });
+      this.updateUI();
 
       // Update icon based on enabled state
       try {
@@ -160,26 +545,141 @@ class PopupController {
       }
 
       // Send message to all tabs with content scripts
-      try {
-        const tabs = await chrome.tabs.query({});
-        const promises = tabs.map(async (tab) => {
-          try {
-            await chrome.tabs.sendMessage(tab.id, {
-              action: "toggleConversion",
-              enabled,
-            });
-          } catch (error) {
-            // Ignore errors for tabs without content script (like chrome:// pages)
-            if (!error.message.includes("Could not establish connection")) {
-              console.warn(`Error sending message to tab ${tab.id}:`, error);
-            }
-          }
-        });
-        await Promise.allSettled(promises);
-      } catch (error) {
-        console.error("Error toggling conversion:", error);
+      await this.broadcastToTabs({ action: "toggleConversion", enabled });
+    });
+
+    // Display format selector
+    this.elements.formatSelect.addEventListener("change", async (e) => {
+      const displayFormat = e.target.value;
+      await chrome.storage.local.set({ displayFormat });
+
+      // Re-render existing badges on every tab
+      await this.broadcastToTabs({
+        action: "updateFormat",
+        format: displayFormat,
+      });
+    });
+
+    // Target metal selector
+    this.elements.metalSelect.addEventListener("change", async (e) => {
+      const targetMetal = e.target.value;
+      this.targetMetal = targetMetal;
+      await chrome.storage.local.set({ targetMetal });
+
+      const { displayFormat } = await chrome.storage.local.get([
+        "displayFormat",
+      ]);
+      this.updateFormatOptions(displayFormat || "auto");
+      this.updateSiteFormatOptions();
+      this.updateUI();
+      await this.loadKAUPrice();
+      await this.loadPriceHistory();
+
+      await this.broadcastToTabs({ action: "updateMetal", metal: targetMetal });
+    });
+
+    // Historical (publish date) pricing
+    const saveHistoricalMode = async () => {
+      const historicalMode = this.elements.historicalToggle.checked;
+      const historicalCompare = this.elements.historicalCompareToggle.checked;
+      await chrome.storage.local.set({ historicalMode, historicalCompare });
+      this.updateUI();
+
+      await this.broadcastToTabs({
+        action: "updateHistoricalMode",
+        historicalMode,
+        historicalCompare,
+      });
+    };
+    this.elements.historicalToggle.addEventListener(
+      "change",
+      saveHistoricalMode
+    );
+    this.elements.historicalCompareToggle.addEventListener(
+      "change",
+      saveHistoricalMode
+    );
+
+    // Site profile for the active tab
+    [
+      this.elements.siteRuleInput,
+      this.elements.sitePausedToggle,
+      this.elements.siteMetalSelect,
+      this.elements.siteFormatSelect,
+      this.elements.siteCurrencySelect,
+      this.elements.siteStyleSelect,
+    ].forEach((control) => {
+      control.addEventListener("change", () => this.saveSiteProfile());
+    });
+    this.elements.resetSiteBtn.addEventListener("click", () => {
+      this.removeSiteProfile();
+    });
+
+    // Elements to leave alone on this site
+    this.elements.addSelectorBtn.addEventListener("click", () => {
+      this.addSiteSelector();
+    });
+    this.elements.siteSelectorInput.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") {
+        this.addSiteSelector();
+      }
+    });
+    this.elements.siteSelectorList.addEventListener("click", (e) => {
+      if (e.target.classList.contains("remove-btn")) {
+        this.siteSelectors = this.siteSelectors.filter(
+          (selector) => selector !== e.target.dataset.selector
+        );
+        this.renderSiteSelectors();
+        this.saveSiteProfile();
       }
     });
+    this.elements.pickElementBtn.addEventListener("click", () => {
+      this.pickElement();
+    });
+
+    // Contexts whose text is never rewritten
+    this.elements.skipContextToggles.forEach((toggle) => {
+      toggle.addEventListener("change", async () => {
+        const skipContexts = {};
+        this.elements.skipContextToggles.forEach((contextToggle) => {
+          skipContexts[contextToggle.dataset.skipContext] =
+            contextToggle.checked;
+        });
+        await chrome.storage.local.set({ skipContexts });
+        await this.broadcastToTabs({
+          action: "updateSkipContexts",
+          skipContexts,
+        });
+      });
+    });
+
+    // Convert as regions near the viewport instead of all at once
+    this.elements.lazyToggle.addEventListener("change", async (e) => {
+      const lazyConversion = e.target.checked;
+      await chrome.storage.local.set({ lazyConversion });
+      await this.broadcastToTabs({
+        action: "updateLazyConversion",
+        lazyConversion,
+      });
+      this.loadPageProgress();
+    });
+
+    // What pages do once the price is stale
+    const saveStalePolicy = async () => {
+      const stalePolicy = this.elements.stalePolicySelect.value;
+      const stalePriceHours =
+        parseFloat(this.elements.staleHoursInput.value) || 6;
+      await chrome.storage.local.set({ stalePolicy, stalePriceHours });
+      await this.loadKAUPrice();
+
+      await this.broadcastToTabs({
+        action: "updateStalePolicy",
+        stalePolicy,
+        stalePriceHours,
+      });
+    };
+    this.elements.stalePolicySelect.addEventListener("change", saveStalePolicy);
+    this.elements.staleHoursInput.addEventListener("change", saveStalePolicy);
 
     // Refresh button
     this.elements.refreshBtn.addEventListener("click", async () => {
@@ -192,10 +692,12 @@ class PopupController {
         });
 
         if (response.success) {
-          this.updatePriceDisplay(response.data);
+          await this.loadKAUPrice();
+          await this.loadPriceHistory();
         } else {
           this.showErrorState(response.error);
         }
+        await this.loadDiagnostics();
       } catch (error) {
         console.error("Error refreshing price:", error);
         this.showErrorState("Failed to refresh price");
@@ -205,6 +707,19 @@ class PopupController {
       }
     });
 
+    // Price provider settings
+    this.elements.settingsBtn.addEventListener("click", () => {
+      chrome.runtime.openOptionsPage();
+    });
+
+    // Price history range buttons
+    this.elements.historyRanges.forEach((button) => {
+      button.addEventListener("click", () => {
+        this.historyRange = button.dataset.range;
+        this.renderPriceHistory();
+      });
+    });
+
     // URL exclusion management
     this.elements.addUrlBtn.addEventListener("click", () => {
       this.addUrl();
@@ -216,6 +731,27 @@ class PopupController {
       }
     });
 
+    // Switch between the exclusion list and the allowlist
+    this.elements.urlModeSelect.addEventListener("change", (e) => {
+      this.urlListMode = e.target.value;
+      this.renderUrlList();
+      this.saveUrlLists();
+      this.testUrl();
+    });
+
+    // "Test this URL" box, prefilled with the current tab
+    this.getCurrentTabUrl().then((url) => {
+      this.elements.testUrlInput.value = url || "";
+    });
+    this.elements.testUrlBtn.addEventListener("click", () => {
+      this.testUrl();
+    });
+    this.elements.testUrlInput.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") {
+        this.testUrl();
+      }
+    });
+
     // Event delegation for remove buttons
     this.elements.urlList.addEventListener("click", (e) => {
       if (e.target.classList.contains("remove-btn")) {
@@ -252,10 +788,36 @@ class PopupController {
     // });
   }
 
+  async broadcastToTabs(message) {
+    try {
+      const tabs = await chrome.tabs.query({});
+      const promises = tabs.map(async (tab) => {
+        try {
+          await chrome.tabs.sendMessage(tab.id, message);
+        } catch (error) {
+          // Ignore errors for tabs without content script (like chrome:// pages)
+          if (!error.message.includes("Could not establish connection")) {
+            console.warn(`Error sending message to tab ${tab.id}:`, error);
+          }
+        }
+      });
+      await Promise.allSettled(promises);
+    } catch (error) {
+      console.error(`Error broadcasting ${message.action}:`, error);
+    }
+  }
+
   updateUI() {
     // Update button states based on current settings
     const enabled = this.elements.enableToggle.checked;
-    // formatSelect is commented out in HTML, so no need to update it
+    this.elements.formatSelect.disabled = !enabled;
+    this.elements.metalSelect.disabled = !enabled;
+
+    // The bundled price history only covers gold
+    const historicalAvailable = enabled && this.targetMetal === "XAU";
+    this.elements.historicalToggle.disabled = !historicalAvailable;
+    this.elements.historicalCompareToggle.disabled =
+      !historicalAvailable || !this.elements.historicalToggle.checked;
   }
 
   async addUrl() {
@@ -263,209 +825,348 @@ class PopupController {
     if (!urlPattern) return;
 
     // Validate URL pattern
-    if (!this.isValidUrlPattern(urlPattern)) {
+    if (!UrlRules.isValid(urlPattern)) {
       alert(
-        "Invalid URL pattern. Please use valid domains or wildcards like *.google.com"
+        "Invalid URL pattern. Please use valid domains, wildcards like *.google.com, match patterns like https://*.example.com/* or /regex/"
       );
       return;
     }
 
     // Check if already exists
-    if (this.excludedUrls.includes(urlPattern)) {
-      alert("This URL pattern is already in the exclusion list");
+    const urls = this.getActiveUrls();
+    if (urls.includes(urlPattern)) {
+      alert("This URL pattern is already in the list");
       return;
     }
 
     // Add to list
-    this.excludedUrls.push(urlPattern);
-    this.saveExcludedUrls();
+    urls.push(urlPattern);
+    this.saveUrlLists();
     this.renderUrlList();
     this.elements.urlInput.value = "";
   }
 
   async removeUrl(urlPattern) {
-    this.excludedUrls = this.excludedUrls.filter((url) => url !== urlPattern);
-    this.saveExcludedUrls();
+    const urls = this.getActiveUrls().filter((url) => url !== urlPattern);
+    if (this.urlListMode === "allow") {
+      this.allowedUrls = urls;
+    } else {
+      this.excludedUrls = urls;
+    }
+    this.saveUrlLists();
     this.renderUrlList();
   }
 
-  async saveExcludedUrls() {
+  getActiveUrls() {
+    // The list the URL editor is showing for the current mode
+    return this.urlListMode === "allow" ? this.allowedUrls : this.excludedUrls;
+  }
+
+  async saveUrlLists() {
     try {
-      await chrome.storage.local.set({ excludedUrls: this.excludedUrls });
+      await chrome.storage.local.set({
+        excludedUrls: this.excludedUrls,
+        allowedUrls: this.allowedUrls,
+        urlListMode: this.urlListMode,
+      });
 
-      // Notify content script about the update
-      try {
-        const [tab] = await chrome.tabs.query({
-          active: true,
-          currentWindow: true,
-        });
-        console.log(
-          "Sending updateExcludedUrls message to tab:",
-          tab.id,
-          "with:",
-          this.excludedUrls
-        );
-        await chrome.tabs.sendMessage(tab.id, {
-          action: "updateExcludedUrls",
-          excludedUrls: this.excludedUrls,
-        });
-        console.log("Message sent successfully");
-      } catch (error) {
-        console.error("Error notifying content script:", error);
-      }
+      // Switching modes can change every tab, so notify them all
+      await this.broadcastToTabs({
+        action: "updateExcludedUrls",
+        excludedUrls: this.excludedUrls,
+        allowedUrls: this.allowedUrls,
+        urlListMode: this.urlListMode,
+      });
     } catch (error) {
-      console.error("Error saving excluded URLs:", error);
+      console.error("Error saving URL lists:", error);
     }
   }
 
   renderUrlList() {
+    const allowMode = this.urlListMode === "allow";
+    this.elements.urlListLabel.textContent = allowMode
+      ? "Allowed URLs"
+      : "Excluded URLs";
+    this.elements.urlInput.placeholder = allowMode
+      ? "Only convert on (e.g., amazon.com, *.nytimes.com)"
+      : "Enter URL pattern (e.g., *.google.com, example.com)";
     this.elements.urlList.innerHTML = "";
 
-    this.excludedUrls.forEach((urlPattern) => {
+    this.getActiveUrls().forEach((urlPattern) => {
       const urlItem = document.createElement("div");
       urlItem.className = "url-item";
 
-      urlItem.innerHTML = `
-        <span class="url-pattern">${urlPattern}</span>
-        <button class="remove-btn" data-url="${urlPattern}">Remove</button>
-      `;
+      // Built with DOM APIs since regex rules can contain quotes and "<"
+      const pattern = document.createElement("span");
+      pattern.className = "url-pattern";
+      pattern.textContent = urlPattern;
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "remove-btn";
+      removeBtn.dataset.url = urlPattern;
+      removeBtn.textContent = "Remove";
+      urlItem.append(pattern, removeBtn);
 
       this.elements.urlList.appendChild(urlItem);
     });
   }
 
-  async getCurrentTabUrl() {
+  renderSiteProfile(url) {
+    // Edit the profile that applies to the active tab, or start a new one
+    // keyed by the tab's domain
+    let hostname;
     try {
-      const [tab] = await chrome.tabs.query({
-        active: true,
-        currentWindow: true,
-      });
-      return tab ? tab.url : null;
+      const urlObj = new URL(url);
+      if (urlObj.protocol !== "https:" && urlObj.protocol !== "http:") {
+        return;
+      }
+      hostname = urlObj.hostname;
     } catch (error) {
-      console.error("Error getting current tab URL:", error);
-      return null;
+      return;
     }
-  }
 
-  checkUrlMatch(currentUrl, pattern) {
-    try {
-      const currentUrlObj = new URL(currentUrl);
-      const hostname = currentUrlObj.hostname;
-      const fullUrl = currentUrl;
+    if (this.elements.siteFormatSelect.options.length === 1) {
+      [...this.elements.formatSelect.options].forEach((option) => {
+        this.elements.siteFormatSelect.appendChild(option.cloneNode(true));
+      });
+    }
 
-      // Always exclude kinesis.money
-      if (hostname === "kinesis.money" || hostname.endsWith(".kinesis.money")) {
-        return true;
-      }
+    const profile = UrlRules.findSiteProfile(url, this.siteProfiles) || {};
+    this.siteUrl = url;
+    this.sitePattern = profile.pattern || null;
+    this.elements.siteRuleInput.value =
+      profile.pattern || UrlRules.siteRuleFor(url);
+    this.elements.sitePausedToggle.checked = profile.paused === true;
+    this.elements.siteMetalSelect.value = profile.targetMetal || "";
+    this.elements.siteFormatSelect.value = profile.displayFormat || "";
+    this.elements.siteCurrencySelect.value = profile.dollarCurrency || "";
+    this.elements.siteStyleSelect.value = profile.displayStyle || "";
+    this.siteSelectors = [...(profile.excludedSelectors || [])];
+    this.renderSiteSelectors();
+    this.updateSiteFormatOptions();
+    this.updateSiteProfileStatus();
+    this.elements.siteProfile.hidden = false;
+  }
 
-      return this.matchesUrlPattern(hostname, fullUrl, pattern);
-    } catch (error) {
-      console.error("Error checking URL match:", error);
-      return false;
-    }
+  updateSiteFormatOptions() {
+    const metal = this.elements.siteMetalSelect.value || this.targetMetal;
+    this.labelFormatOptions(this.elements.siteFormatSelect, metal);
   }
 
-  matchesUrlPattern(hostname, fullUrl, pattern) {
-    // Handle URL patterns with paths (e.g., "x.com/search")
-    if (pattern.includes("/")) {
-      try {
-        // Normalize the pattern URL
-        const patternUrl = pattern.startsWith("http")
-          ? pattern
-          : `https://${pattern}`;
-        const patternObj = new URL(patternUrl);
-
-        // Check if hostname matches
-        if (hostname !== patternObj.hostname) {
-          return false;
-        }
+  updateSiteProfileStatus(message) {
+    this.elements.siteProfileStatus.textContent =
+      message ||
+      (this.sitePattern
+        ? `Using the "${this.sitePattern}" profile; anything left on "Global setting" follows the settings above`
+        : "Using global settings - changes here create a profile for this site");
+  }
 
-        // Check if path matches (supports wildcards in path)
-        const currentPath = new URL(fullUrl).pathname;
-        const patternPath = patternObj.pathname;
+  async saveSiteProfile() {
+    this.updateSiteFormatOptions();
+    const pattern = this.elements.siteRuleInput.value.trim();
+    if (
+      !UrlRules.isValid(pattern) ||
+      !UrlRules.matches(this.siteUrl, pattern)
+    ) {
+      this.updateSiteProfileStatus("The site rule must match this page");
+      return;
+    }
 
-        if (patternPath.endsWith("*")) {
-          // Wildcard path matching
-          const pathPrefix = patternPath.slice(0, -1);
-          return currentPath.startsWith(pathPrefix);
-        } else {
-          // Exact path matching
-          return currentPath === patternPath;
-        }
-      } catch (error) {
-        // If URL parsing fails, fall back to hostname matching
-        return hostname === pattern;
+    // Only overridden settings are stored, so the rest follow the globals
+    const profile = { pattern };
+    const overrides = {
+      targetMetal: this.elements.siteMetalSelect.value,
+      displayFormat: this.elements.siteFormatSelect.value,
+      dollarCurrency: this.elements.siteCurrencySelect.value,
+      displayStyle: this.elements.siteStyleSelect.value,
+    };
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value) {
+        profile[key] = value;
       }
     }
-
-    // Handle wildcard domain patterns
-    if (pattern.startsWith("*.")) {
-      const domain = pattern.substring(2);
-      return hostname === domain || hostname.endsWith("." + domain);
+    if (this.elements.sitePausedToggle.checked) {
+      profile.paused = true;
+    }
+    if (this.siteSelectors.length > 0) {
+      profile.excludedSelectors = this.siteSelectors;
     }
 
-    if (pattern.endsWith("*")) {
-      const prefix = pattern.slice(0, -1);
-      return hostname.startsWith(prefix);
+    // Editing the rule moves the profile rather than copying it
+    const profiles = this.siteProfiles.filter(
+      (existing) =>
+        existing.pattern !== pattern && existing.pattern !== this.sitePattern
+    );
+    const hasOverrides = Object.keys(profile).length > 1;
+    if (hasOverrides) {
+      profiles.push(profile);
     }
+    this.sitePattern = hasOverrides ? pattern : null;
+    await this.saveSiteProfiles(profiles);
+  }
+
+  addSiteSelector() {
+    const selector = this.elements.siteSelectorInput.value.trim();
+    if (!selector) return;
 
-    // Handle localhost with port
-    if (pattern.startsWith("localhost")) {
-      return hostname.startsWith("localhost");
+    // The popup's own document is enough to check the syntax
+    try {
+      document.querySelector(selector);
+    } catch (error) {
+      this.updateSiteProfileStatus(`Invalid CSS selector: ${selector}`);
+      return;
     }
 
-    // Handle 127.0.0.1 with port
-    if (pattern.startsWith("127.0.0.1")) {
-      return hostname.startsWith("127.0.0.1");
+    if (!this.siteSelectors.includes(selector)) {
+      this.siteSelectors.push(selector);
     }
+    this.elements.siteSelectorInput.value = "";
+    this.renderSiteSelectors();
+    this.saveSiteProfile();
+  }
 
-    // Exact hostname match or subdomain match
-    return hostname === pattern || hostname.endsWith(`.${pattern}`);
+  renderSiteSelectors() {
+    this.elements.siteSelectorList.innerHTML = "";
+    this.siteSelectors.forEach((selector) => {
+      const item = document.createElement("div");
+      item.className = "url-item";
+      const text = document.createElement("span");
+      text.className = "url-pattern";
+      text.textContent = selector;
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "remove-btn";
+      removeBtn.dataset.selector = selector;
+      removeBtn.textContent = "Remove";
+      item.append(text, removeBtn);
+      this.elements.siteSelectorList.appendChild(item);
+    });
   }
 
-  isValidUrlPattern(pattern) {
-    // Allow domain patterns, URL patterns with paths, and wildcards
+  async pickElement() {
+    // The picker runs in the page and saves the selector itself, since the
+    // popup closes as soon as the page is clicked
     try {
-      // Try to parse as a URL to validate the format
-      const url = new URL(
-        pattern.startsWith("http") ? pattern : `https://${pattern}`
+      const [tab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      // Only the top frame, or every frame would start its own picker
+      await chrome.tabs.sendMessage(
+        tab.id,
+        { action: "startElementPicker" },
+        { frameId: 0 }
       );
+      window.close();
+    } catch (error) {
+      console.error("Error starting element picker:", error);
+      this.updateSiteProfileStatus(
+        "Can't pick elements here - try reloading the page"
+      );
+    }
+  }
 
-      // Check if it's a valid hostname
-      const hostname = url.hostname;
-      const validHostnamePattern =
-        /^(\*\.)?[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?)*(\*)?$/;
-
-      return (
-        validHostnamePattern.test(hostname) ||
-        hostname.includes("localhost") ||
-        hostname.includes("127.0.0.1")
+  async loadPageProgress() {
+    // Polled while a lazy pass still has regions left to convert
+    clearTimeout(this.progressTimeout);
+    try {
+      const [tab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      // Only the top frame, which counts the badges in the page itself
+      const progress = await chrome.tabs.sendMessage(
+        tab.id,
+        { action: "getConversionProgress" },
+        { frameId: 0 }
       );
+      this.renderPageProgress(progress);
+      if (progress.remaining > 0) {
+        this.progressTimeout = setTimeout(() => this.loadPageProgress(), 1000);
+      }
     } catch (error) {
-      // If URL parsing fails, check if it's a simple domain pattern
-      const validPattern =
-        /^(\*\.)?[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?)*(\*)?$/;
-      return (
-        validPattern.test(pattern) ||
-        pattern.includes("localhost") ||
-        pattern.includes("127.0.0.1")
-      );
+      // Pages the content script can't run on have nothing to count
+      this.elements.pageProgress.hidden = true;
     }
   }
 
-  isHardcodedExcluded(url) {
+  renderPageProgress({ converted, remaining, total }) {
+    let text = `${converted} price${
+      converted === 1 ? "" : "s"
+    } converted on this page`;
+    if (remaining > 0) {
+      const scanned = Math.floor(((total - remaining) / total) * 100);
+      text += ` (${scanned}% scanned)`;
+    }
+    this.elements.pageProgress.textContent = text;
+    this.elements.pageProgress.hidden = false;
+  }
+
+  async removeSiteProfile() {
+    const profiles = this.siteProfiles.filter(
+      (profile) => profile.pattern !== this.sitePattern
+    );
+    await this.saveSiteProfiles(profiles);
+    // A broader profile may still apply once this one is gone
+    this.renderSiteProfile(this.siteUrl);
+  }
+
+  async saveSiteProfiles(profiles) {
     try {
-      const urlObj = new URL(url);
-      const hostname = urlObj.hostname;
+      await chrome.storage.local.set({ siteProfiles: profiles });
+      this.siteProfiles = profiles;
+      this.updateSiteProfileStatus();
+
+      // A profile's rule can cover sites open in other tabs too
+      await this.broadcastToTabs({
+        action: "updateSiteProfiles",
+        siteProfiles: profiles,
+      });
+    } catch (error) {
+      console.error("Error saving site profiles:", error);
+      this.updateSiteProfileStatus("Failed to save site settings");
+    }
+  }
 
-      for (const excludedUrl of HARDCODED_EXCLUDED_URLS) {
-        if (hostname === excludedUrl || hostname.endsWith(`.${excludedUrl}`)) {
-          return true;
-        }
-      }
-      return false;
+  async getCurrentTabUrl() {
+    try {
+      const [tab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      return tab ? tab.url : null;
     } catch (error) {
-      return false;
+      console.error("Error getting current tab URL:", error);
+      return null;
+    }
+  }
+
+  testUrl() {
+    // Show which rule, if any, excludes the URL in the test box
+    const url = this.elements.testUrlInput.value.trim();
+    const result = this.elements.testUrlResult;
+    if (!url) {
+      result.textContent = "";
+      return;
+    }
+
+    try {
+      new URL(url);
+    } catch (error) {
+      result.textContent = "Not a valid URL - include https://";
+      return;
+    }
+
+    const blockReason = UrlRules.getBlockReason(url, this);
+    const match = UrlRules.findMatch(url, this.getActiveUrls());
+    if (blockReason === "hardcoded") {
+      result.textContent = "Always excluded (site already prices in gold)";
+    } else if (blockReason === "excluded") {
+      result.textContent = `Excluded by rule: ${match}`;
+    } else if (blockReason === "not-allowed") {
+      result.textContent = "Not on the allowed sites - prices won't convert";
+    } else if (match) {
+      result.textContent = `Allowed by rule: ${match}`;
+    } else {
+      result.textContent = "Not excluded - prices will be converted";
     }
   }
 
@@ -0,0 +1,19 @@
+// Runs in the page's own JavaScript world at document_start, before the
+// page's scripts, so the content script hears about shadow roots attached
+// after their host is already in the document. Only open roots are
+// announced, since the content script can't reach into closed ones
+(() => {
+  const attachShadow = Element.prototype.attachShadow;
+  Element.prototype.attachShadow = function (init) {
+    const shadowRoot = attachShadow.call(this, init);
+    if (init?.mode === "open") {
+      this.dispatchEvent(
+        new CustomEvent("kau-shadow-attached", {
+          bubbles: true,
+          composed: true,
+        })
+      );
+    }
+    return shadowRoot;
+  };
+})();
@@ -0,0 +1,245 @@
+// Shared URL rule matching for the content script, popup and background
+// worker. Loaded as a plain script in all three, so it only defines globals
+
+// Hardcoded excluded URLs that should always be excluded
+const HARDCODED_EXCLUDED_URLS = ["kinesis.money", "mene.com"];
+
+// Rules can be written as:
+//   example.com                  the domain and its subdomains, any path
+//   *.example.com, shop*         hostname wildcards
+//   x.com/search, x.com/*/cart   "*" in a path matches anything, including "/"
+//   example.com?tab=prices       every listed query parameter must be present
+//   localhost:3000, localhost:*  a specific port, or any port
+//   https://*.example.com/*      Chrome match patterns (and <all_urls>)
+//   /^https:\/\/.*\.gov\//i      regular expressions against the full URL
+class UrlRules {
+  static parse(pattern) {
+    if (UrlRules.cache.has(pattern)) {
+      return UrlRules.cache.get(pattern);
+    }
+
+    const rule = UrlRules.compile(pattern.trim());
+    UrlRules.cache.set(pattern, rule);
+    return rule;
+  }
+
+  static compile(pattern) {
+    // Opt-in regular expressions are written between slashes
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+      // "g" and "y" would make test() stateful, so they are dropped
+      const flags = regexMatch[2].replace(/[gy]/g, "");
+      return { regex: new RegExp(regexMatch[1], flags) };
+    }
+
+    if (pattern === "<all_urls>") {
+      return { scheme: "*", host: "*", port: null, path: null, query: [] };
+    }
+
+    // Chrome match patterns name a scheme; without one, any scheme matches
+    // and a bare domain includes its subdomains
+    let rest = pattern;
+    let scheme = null;
+    const schemeMatch = rest.match(/^(\*|[a-z][a-z0-9+.-]*):\/\//i);
+    if (schemeMatch) {
+      scheme = schemeMatch[1].toLowerCase();
+      rest = rest.slice(schemeMatch[0].length);
+    }
+
+    let query = [];
+    const queryStart = rest.indexOf("?");
+    if (queryStart !== -1) {
+      query = rest
+        .slice(queryStart + 1)
+        .split("&")
+        .filter((param) => param && param !== "*")
+        .map((param) => {
+          const [name, value] = param.split("=");
+          return {
+            name: decodeURIComponent(name),
+            value:
+              value === undefined
+                ? null
+                : UrlRules.globToRegExp(decodeURIComponent(value)),
+          };
+        });
+      rest = rest.slice(0, queryStart);
+    }
+
+    let path = null;
+    const pathStart = rest.indexOf("/");
+    if (pathStart !== -1) {
+      path = UrlRules.globToRegExp(rest.slice(pathStart));
+      rest = rest.slice(0, pathStart);
+    }
+
+    let host = rest.toLowerCase();
+    let port = null;
+    const portMatch = host.match(/:(\d+|\*)$/);
+    if (portMatch) {
+      port = portMatch[1] === "*" ? null : portMatch[1];
+      host = host.slice(0, -portMatch[0].length);
+    }
+
+    if (!/^[a-z0-9*.\-[\]:]*$/.test(host) || (!host && scheme !== "file")) {
+      throw new Error(`Invalid host in URL rule: ${pattern}`);
+    }
+
+    return { scheme, host, port, path, query };
+  }
+
+  static globToRegExp(glob) {
+    // "*" matches any run of characters; everything else is literal
+    const source = glob
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    return new RegExp(`^${source}$`);
+  }
+
+  static matches(url, pattern) {
+    try {
+      const rule = UrlRules.parse(pattern);
+      if (rule.regex) {
+        return rule.regex.test(url);
+      }
+
+      const urlObj = new URL(url);
+      const scheme = urlObj.protocol.slice(0, -1);
+      return (
+        UrlRules.matchesScheme(scheme, rule.scheme) &&
+        UrlRules.matchesHost(urlObj.hostname, rule) &&
+        UrlRules.matchesPort(urlObj, rule.port) &&
+        (!rule.path || rule.path.test(urlObj.pathname)) &&
+        rule.query.every(({ name, value }) =>
+          urlObj.searchParams
+            .getAll(name)
+            .some((paramValue) => !value || value.test(paramValue))
+        )
+      );
+    } catch (error) {
+      console.warn(`Could not match URL rule "${pattern}":`, error.message);
+      return false;
+    }
+  }
+
+  static matchesScheme(scheme, ruleScheme) {
+    if (ruleScheme === null) {
+      return true;
+    }
+    if (ruleScheme === "*") {
+      return scheme === "http" || scheme === "https";
+    }
+    return scheme === ruleScheme;
+  }
+
+  static matchesHost(hostname, rule) {
+    const { host, scheme } = rule;
+    if (host === "*") {
+      return true;
+    }
+    if (host.startsWith("*.")) {
+      const domain = host.substring(2);
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+    if (host.includes("*")) {
+      return UrlRules.globToRegExp(host).test(hostname);
+    }
+    // Match patterns are exact; the short form also covers subdomains
+    if (scheme !== null) {
+      return hostname === host;
+    }
+    return hostname === host || hostname.endsWith(`.${host}`);
+  }
+
+  static matchesPort(urlObj, rulePort) {
+    if (rulePort === null) {
+      return true;
+    }
+    const defaultPorts = { "http:": "80", "https:": "443" };
+    return (urlObj.port || defaultPorts[urlObj.protocol]) === rulePort;
+  }
+
+  static findMatch(url, patterns) {
+    // The first rule that matches the URL, or null
+    return patterns.find((pattern) => UrlRules.matches(url, pattern)) || null;
+  }
+
+  static specificity(pattern) {
+    // How narrowly a rule targets URLs: the number of literal characters
+    // after the scheme. Regular expressions can't be ranked, so they only
+    // win when no other rule matches
+    const rule = UrlRules.parse(pattern);
+    if (rule.regex) {
+      return -1;
+    }
+    if (pattern.trim() === "<all_urls>") {
+      return 0;
+    }
+    return pattern
+      .trim()
+      .replace(/^(\*|[a-z][a-z0-9+.-]*):\/\//i, "")
+      .replace(/\*/g, "").length;
+  }
+
+  static findMostSpecific(url, patterns) {
+    // The matching rule with the highest specificity; ties go to the
+    // earlier rule
+    let best = null;
+    let bestScore = -Infinity;
+    for (const pattern of patterns) {
+      if (!UrlRules.matches(url, pattern)) {
+        continue;
+      }
+      const score = UrlRules.specificity(pattern);
+      if (score > bestScore) {
+        best = pattern;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  static findSiteProfile(url, profiles = []) {
+    // Per-site settings from the profile whose rule best fits the URL
+    const pattern = UrlRules.findMostSpecific(
+      url,
+      profiles.map((profile) => profile.pattern)
+    );
+    return profiles.find((profile) => profile.pattern === pattern) || null;
+  }
+
+  static siteRuleFor(url) {
+    // Default rule for a new site profile: the page's domain, which also
+    // covers its subdomains
+    return new URL(url).hostname.replace(/^www\./, "");
+  }
+
+  static isHardcodedExcluded(url) {
+    return UrlRules.findMatch(url, HARDCODED_EXCLUDED_URLS) !== null;
+  }
+
+  static getBlockReason(url, { urlListMode, excludedUrls, allowedUrls }) {
+    // Why conversion is off for a URL: "hardcoded", "excluded" (matches the
+    // exclusion list), "not-allowed" (allowlist mode and no rule matches),
+    // or null when it should run
+    if (UrlRules.isHardcodedExcluded(url)) {
+      return "hardcoded";
+    }
+    if (urlListMode === "allow") {
+      return UrlRules.findMatch(url, allowedUrls || []) ? null : "not-allowed";
+    }
+    return UrlRules.findMatch(url, excludedUrls || []) ? "excluded" : null;
+  }
+
+  static isValid(pattern) {
+    try {
+      UrlRules.parse(pattern);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+UrlRules.cache = new Map();